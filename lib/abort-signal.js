@@ -0,0 +1,76 @@
+/**
+ * Abort signal
+ */
+var Inheritable = require('./inheritable'),
+    Vow = require('vow-with-domain'),
+    Storage = require('./storage'),
+    AbortSignal;
+
+/**
+ * Signal which is passed to storage to cancel operation
+ * @class AbortSignal
+ * @extends Inheritable
+ */
+AbortSignal = Inheritable.inherit(/** @lends AbortSignal.prototype */{
+
+    __constructor: function () {
+
+        /**
+         * @type {Boolean}
+         */
+        this.aborted = false;
+
+        /**
+         * @type {Array.<Function>}
+         */
+        this._listeners = [];
+    },
+
+    /**
+     * call listener when operation is aborted
+     * @param {Function} cb
+     * @returns {AbortSignal}
+     */
+    onAbort: function (cb) {
+        if (this.aborted) {
+            cb();
+        } else {
+            this._listeners.push(cb);
+        }
+        return this;
+    },
+
+    /**
+     * abort operation, listeners are called once
+     */
+    abort: function () {
+        var listeners = this._listeners;
+        if (!this.aborted) {
+            this.aborted = true;
+            this._listeners = [];
+            listeners.forEach(function (cb) {
+                cb();
+            });
+        }
+    },
+
+    /**
+     * get promise which is rejected with Storage.AbortError at once when operation is aborted
+     * @param {Promise} promise
+     * @returns {Promise}
+     */
+    wrap: function (promise) {
+        var defer = Vow.defer();
+        this.onAbort(function () {
+            defer.reject(new Storage.AbortError());
+        });
+        promise.then(function (result) {
+            defer.resolve(result);
+        }, function (err) {
+            defer.reject(err);
+        });
+        return defer.promise();
+    }
+});
+
+module.exports = AbortSignal;
@@ -154,6 +154,18 @@ var Attribute = Inheritable.inherit(/** @lends Attribute.prototype */{
         return this.getLastCommitted(this.PREVIOUS_BRANCH);
     },
 
+    /**
+     * describe changes since last commit
+     * @param {string} [branch=DEFAULT_BRANCH]
+     * @returns {{oldValue: *, newValue: *}}
+     */
+    getChanges: function (branch) {
+        return {
+            oldValue: this.getLastCommitted(branch),
+            newValue: this.toJSON()
+        };
+    },
+
     /**
      * set attribute value
      * @param {*} value
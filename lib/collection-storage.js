@@ -0,0 +1,56 @@
+/**
+ * Collection storage
+ */
+
+var Inheritable = require('./inheritable');
+
+
+/**
+ * Abstract class for collection storage
+ * @class {Inheritable} CollectionStorage
+ */
+module.exports = Inheritable.inherit({
+        /**
+         * find models data in storage
+         * @param  {Collection} collection
+         * @param  {*} [query]
+         * @abstract
+         * @return {Array.<Object>|Promise<{Array.<Object>}>} data
+         */
+        findAll: function () {
+            throw new Error('.findAll() is not implemented');
+        },
+
+        /**
+         * save new models to storage
+         * @param  {Collection} collection
+         * @param  {Array.<Model>} models
+         * @abstract
+         * @return {Array.<Model.id>|Promise<{Array.<Model.id>}>} ids in order of models
+         */
+        insertMany: function () {
+            throw new Error('.insertMany() is not implemented');
+        },
+
+        /**
+         * update models in storage
+         * @param  {Collection} collection
+         * @param  {Array.<Model>} models
+         * @abstract
+         * @return {undefined|Promise}
+         */
+        updateMany: function () {
+            throw new Error('.updateMany() is not implemented');
+        },
+
+        /**
+         * remove models from storage
+         * @param  {Collection} collection
+         * @param  {Array.<Model>} models
+         * @abstract
+         * @return {undefined|Promise}
+         */
+        removeMany: function () {
+            throw new Error('.removeMany() is not implemented');
+        }
+});
@@ -1,4 +1,7 @@
 var Events = require('./events'),
+    ModelType = require('./model-type'),
+    Vow = require('vow-with-domain'),
+    fulfill = require('./fulfill'),
     Collection,
     ARRAY_PROXY_METHODS = ['forEach', 'some', 'every', 'filter', 'map', 'reduce', 'indexOf'];
 
@@ -16,7 +19,8 @@ function clone(obj) {
 Collection = Events.inherit(/** @lends Collection.prototype*/{
 
     /**
-     * @type {Function}
+     * model class or polymorphic type, see ModelAttribute
+     * @type {(Function|Object)}
      */
     modelType: null,
 
@@ -29,6 +33,8 @@ Collection = Events.inherit(/** @lends Collection.prototype*/{
      * @param {Object} options
      */
     __constructor: function (data, options) {
+        var Storage;
+
         this.__base();
 
         options = options === undefined ? {} : options;
@@ -41,6 +47,9 @@ Collection = Events.inherit(/** @lends Collection.prototype*/{
             this._owner = options.owner;
         }
 
+        Storage = options.storage || this.storage;
+        this.storage = Storage ? new Storage() : null;
+
         /**
          * @type {Object.<String, Array.<Model>>}
          */
@@ -141,6 +150,20 @@ Collection = Events.inherit(/** @lends Collection.prototype*/{
         return this.getLastCommited(this.PREVIOUS_BRANCH);
     },
 
+    /**
+     * changes of models by index
+     * @param {String} [branch=DEFAULT_BRANCH]
+     * @returns {Object.<Number, Object>}
+     */
+    getChanges: function (branch) {
+        return this._models.reduce(function (changes, model, index) {
+            if (model.isChanged(branch)) {
+                changes[index] = model.getChanges(branch);
+            }
+            return changes;
+        }, {});
+    },
+
     /**
      * @returns {Array.<Object>}
      */
@@ -282,6 +305,86 @@ Collection = Events.inherit(/** @lends Collection.prototype*/{
         return this;
     },
 
+    /**
+     * wait for all calculations of models
+     * @returns {Promise}
+     */
+    ready: function () {
+        return Vow.all(this._models.map(function (model) {
+            return model.ready();
+        }));
+    },
+
+    /**
+     * fetch models from storage
+     * @param {*} [query] passed to storage as is
+     * @returns {Promise}
+     */
+    fetch: function (query) {
+        var collection = this;
+        this._throwMissedStorage('fetched');
+        return fulfill().then(function () {
+            return collection.storage.findAll(collection, query);
+        }).then(function (data) {
+            collection.set(data);
+            return collection.ready();
+        }).then(function () {
+            collection.commit();
+        });
+    },
+
+    /**
+     * insert new models, update changed ones
+     * and remove ones which were removed from collection since last commit
+     * @returns {Promise}
+     */
+    save: function () {
+        var collection = this,
+            newModels, changedModels;
+
+        this._throwMissedStorage('saved');
+        if (!this.every(function (model) {
+            return Boolean(model.idAttribute);
+        })) {
+            throw new Error('collection of models without declared persistent id attribute can not be saved');
+        }
+
+        return this.ready().then(function () {
+            newModels = collection.filter(function (model) {
+                return model.isNew();
+            });
+            changedModels = collection.filter(function (model) {
+                return !model.isNew() && model.isChanged();
+            });
+            if (newModels.length) {
+                return collection.storage.insertMany(collection, newModels);
+            }
+        }).then(function (ids) {
+            newModels.forEach(function (model, index) {
+                model.idAttribute.set(ids[index]);
+            });
+            if (changedModels.length) {
+                return collection.storage.updateMany(collection, changedModels);
+            }
+        }).then(function () {
+            return collection._destroyModels(collection._getRemovedModels());
+        }).then(function () {
+            return collection.ready();
+        }).then(function () {
+            collection.commit();
+        });
+    },
+
+    /**
+     * remove from storage and destruct models
+     * which were removed from collection since last commit
+     * @returns {Promise}
+     */
+    destroyRemoved: function () {
+        this._throwMissedStorage('synced');
+        return this._destroyModels(this._getRemovedModels());
+    },
+
     /**
      * Checks if collection is owned by passed instance
      * @param {Model} model
@@ -291,6 +394,48 @@ Collection = Events.inherit(/** @lends Collection.prototype*/{
         return Boolean(this._owner) && this._owner === model;
     },
 
+    /**
+     * persistent models removed from collection since last commit
+     * @returns {Array.<Model>}
+     */
+    _getRemovedModels: function () {
+        return this._getCacheBranch().filter(function (model) {
+            //softly removed models are already removed from storage
+            return !this._isExists(model) && !model.isNew() && !model.isRemoved();
+        }, this);
+    },
+
+    /**
+     * @param {Array.<Model>} models
+     * @returns {Promise}
+     */
+    _destroyModels: function (models) {
+        var collection = this;
+        return fulfill().then(function () {
+            if (models.length) {
+                return collection.storage.removeMany(collection, models);
+            }
+        }).then(function () {
+            collection._cacheBranches[collection.DEFAULT_BRANCH] = collection._getCacheBranch().filter(function (model) {
+                return models.indexOf(model) === -1;
+            });
+            models.forEach(function (model) {
+                if (!model.isDestructed()) {
+                    model.destruct();
+                }
+            });
+        });
+    },
+
+    /**
+     * @param {String} action
+     */
+    _throwMissedStorage: function (action) {
+        if (!this.storage) {
+            throw new Error('collection without storage can not be ' + action);
+        }
+    },
+
     /**
      * @param {String} [branch=DEFAULT_BRANCH]
      * @returns {Array.<Model>}
@@ -331,11 +476,12 @@ Collection = Events.inherit(/** @lends Collection.prototype*/{
      * @returns {Model}
      */
     _prepareModel: function (model) {
-        if (model instanceof this.modelType) {
-            model.collection = model.collection || this;
-            return model;
+        var identical = ModelType.isInstance(this.modelType, model) ? model : ModelType.findInIdentityMap(this.modelType, model);
+        if (identical) {
+            identical.collection = identical.collection || this;
+            return identical;
         } else {
-            return new this.modelType(model, {
+            return ModelType.create(this.modelType, model, {
                 collection: this,
                 owner: this
             });
@@ -400,7 +546,8 @@ Collection = Events.inherit(/** @lends Collection.prototype*/{
             delete this._modelsIdsMap[model.getId()];
         }
 
-        if (model.isOwnedBy(this) && !model.isDestructed()) {
+        //softly removed model could be restored
+        if (model.isOwnedBy(this) && !model.isDestructed() && !model.isRemoved()) {
             model.destruct();
         }
     },
@@ -410,10 +557,23 @@ Collection = Events.inherit(/** @lends Collection.prototype*/{
      * @param {Model} model
      */
     _onModelEvent: function (eventName, model) {
+        var at;
+
         if (eventName === 'destruct') {
             this._removeModel(model);
         }
 
+        if (eventName === 'remove') {
+            at = this._models.indexOf(model);
+            this._removeModel(model);
+            model.once('restore', function () {
+                if (!this._isExists(model)) {
+                    this.add(model, {at: Math.min(at, this._models.length)});
+                }
+            }, this);
+            return;
+        }
+
         if (model.idAttribute && eventName === 'change:' + model.idAttribute.name) {
             if (model.idAttribute.previous() !== null) {
                 delete this._modelsIdsMap[model.idAttribute.previous()];
@@ -426,6 +586,23 @@ Collection = Events.inherit(/** @lends Collection.prototype*/{
         this.trigger.apply(this, arguments);
     }
 
+}, /** @lends Collection */{
+
+    /**
+     * @override
+     */
+    inherit: function (props, staticProps) {
+        staticProps = staticProps || {};
+        staticProps.storage = staticProps.storage || props.storage;
+        return this.__base(props, staticProps);
+    },
+
+    /**
+     * @class
+     * @abstract
+     */
+    Storage: require('./collection-storage')
+
 });
 
 ARRAY_PROXY_METHODS.forEach(function (methodName) {
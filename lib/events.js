@@ -1,6 +1,7 @@
 var EventEmitter = require('eventemitter3'),
     Inheritable = require('./inheritable'),
-    Events, callEventEmitter;
+    fulfill = require('./fulfill'),
+    Events, callEventEmitter, getListeners;
 
 /**
  * bind events on attributes or model
@@ -32,6 +33,22 @@ callEventEmitter = function (eventEmitter, method, attribute, event, cb, ctx) {
     }
 };
 
+/**
+ * get listeners of event with their contexts
+ * @param  {EventEmitter} [eventEmitter]
+ * @param  {string} event
+ * @return {Array.<{fn: Function, context: *, once: Boolean}>}
+ */
+getListeners = function (eventEmitter, event) {
+    //eventemitter3 keeps single listener as object and several ones as array
+    var listeners = eventEmitter && eventEmitter._events && eventEmitter._events[event];
+    if (!listeners) {
+        return [];
+    } else {
+        return listeners.fn ? [listeners] : listeners.slice();
+    }
+};
+
 /**
  * @class Events
  * @extends Inheritable
@@ -104,6 +121,39 @@ Events = Inheritable.inherit(/** @lends Events.prototype */{
         return this;
     },
 
+    /**
+     * call event handlers one by one, waiting for promises returned by them.
+     * Instance handlers are called before class ones
+     * @param {string} event
+     * @param {...*} [args]
+     * @returns {Promise} rejected if some of handlers rejected or throws
+     */
+    triggerAsync: function (event) {
+        var args = Array.prototype.slice.call(arguments, 1),
+            emitters = [this._eventEmitter, this.__self._eventEmitter];
+
+        return emitters.reduce(function (promise, eventEmitter) {
+            return getListeners(eventEmitter, event).reduce(function (chain, listener) {
+                return chain.then(function () {
+                    if (listener.once) {
+                        eventEmitter.removeListener(event, listener.fn, listener.context, true);
+                    }
+                    return listener.fn.apply(listener.context, args);
+                });
+            }, promise);
+        }, fulfill());
+    },
+
+    /**
+     * check if event has instance or class handlers
+     * @param {string} event
+     * @returns {Boolean}
+     */
+    _hasListeners: function (event) {
+        return getListeners(this._eventEmitter, event).length > 0 ||
+            getListeners(this.__self._eventEmitter, event).length > 0;
+    },
+
     /**
      * bind events on attributes or model
      * @param  {string}   method of EventEmitter
@@ -0,0 +1,18 @@
+/**
+ * Attribute without own value, which is used by list and map attributes
+ * to coerce, compare, serialize and validate items with primitive attribute type
+ */
+
+/**
+ * create attribute by prototype of item type, value is assigned to it before call of any method
+ * @param {Function} ItemType primitive attribute type
+ * @param {String} name name of list or map attribute
+ * @param {Model} model
+ * @returns {Attribute}
+ */
+module.exports = function (ItemType, name, model) {
+    var attribute = Object.create(ItemType.prototype);
+    attribute.name = name;
+    attribute.model = model;
+    return attribute;
+};
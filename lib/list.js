@@ -23,7 +23,7 @@ List.prototype.isEqual = function (value) {
  * @return {Array}
  */
 List.prototype.toArray = function () {
-    return this._attribute.value.slice();
+    return this._attribute.getItems();
 };
 
 /**
@@ -32,7 +32,7 @@ List.prototype.toArray = function () {
  * @return {*}
  */
 List.prototype.get = function (k) {
-    return this._attribute.value[k];
+    return this._attribute.getItem(k);
 };
 
 /**
@@ -48,7 +48,7 @@ List.prototype.length = function () {
     List.prototype[methodName] = function () {
         var res;
         if (this._attribute.isListCashed(this._attribute.value)) {
-            this._attribute.value = this.toArray();
+            this._attribute.value = this._attribute.value.slice();
         }
         res = Array.prototype[methodName].apply(this._attribute.value, arguments);
         this._attribute.emitListChange();
@@ -0,0 +1,83 @@
+/**
+ * Object like map keyed by string
+ */
+
+/**
+ * @class
+ * @param {Model.Attribute} attribute
+ */
+var AttributeMap = function (attribute) {
+        this._attribute = attribute;
+    };
+
+/**
+ * @param  {Object}  value
+ * @return {Boolean}
+ */
+AttributeMap.prototype.isEqual = function (value) {
+    return this._attribute.isEqual(value);
+};
+
+/**
+ * get value by key
+ * @param  {String} key
+ * @return {*}
+ */
+AttributeMap.prototype.get = function (key) {
+    return this._attribute.getKey(key);
+};
+
+/**
+ * set value by key, value is coerced with value type of map
+ * @param {String} key
+ * @param {*} value
+ * @return {AttributeMap}
+ */
+AttributeMap.prototype.set = function (key, value) {
+    this._attribute.setKey(key, value);
+    return this;
+};
+
+/**
+ * @param  {String} key
+ * @return {Boolean} false if there was no such key
+ */
+AttributeMap.prototype.delete = function (key) {
+    return this._attribute.deleteKey(key);
+};
+
+/**
+ * @param  {String} key
+ * @return {Boolean}
+ */
+AttributeMap.prototype.has = function (key) {
+    return this._attribute.hasKey(key);
+};
+
+/**
+ * @return {Array.<String>}
+ */
+AttributeMap.prototype.keys = function () {
+    return Object.keys(this._attribute.value);
+};
+
+/**
+ * know count of keys
+ * @return {Number}
+ */
+AttributeMap.prototype.size = function () {
+    return this.keys().length;
+};
+
+/**
+ * return object with values of map
+ * @return {Object}
+ */
+AttributeMap.prototype.toObject = function () {
+    return this.keys().reduce(function (object, key) {
+        object[key] = this.get(key);
+        return object;
+    }.bind(this), {});
+};
+
+module.exports = AttributeMap;
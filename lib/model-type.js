@@ -0,0 +1,99 @@
+/**
+ * Model type of nested models.
+ * It is model class or polymorphic type `{field: String, types: Object.<String, Function>, [default]: String}`,
+ * which chooses model class by value of discriminator `field` in model data,
+ * `default` is name of type for data without discriminator
+ */
+
+/**
+ * @param {(Function|Object)} modelType
+ * @returns {Boolean}
+ */
+function isPolymorphic(modelType) {
+    return typeof modelType !== 'function';
+}
+
+/**
+ * @param {*} data
+ * @returns {Boolean}
+ */
+function isObject(data) {
+    return data !== null && typeof data === 'object';
+}
+
+/**
+ * get model class for data
+ * @param {(Function|Object)} modelType
+ * @param {*} data
+ * @returns {?Function} null if discriminator has unknown value
+ */
+function getClass(modelType, data) {
+    var types, name;
+    if (!isPolymorphic(modelType)) {
+        return modelType;
+    }
+    types = modelType.types;
+    name = isObject(data) && data[modelType.field] != null ? data[modelType.field] : modelType.default;
+    return Object.prototype.hasOwnProperty.call(types, name) ? types[name] : null;
+}
+
+/**
+ * @param {(Function|Object)} modelType
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isInstance(modelType, value) {
+    if (!isPolymorphic(modelType)) {
+        return value instanceof modelType;
+    }
+    return Object.keys(modelType.types).some(function (name) {
+        return value instanceof modelType.types[name];
+    });
+}
+
+/**
+ * @param {(Function|Object)} modelType
+ * @param {*} data
+ * @returns {?Model}
+ */
+function findInIdentityMap(modelType, data) {
+    var ModelClass = getClass(modelType, data);
+    return ModelClass ? ModelClass.findInIdentityMap(data) : null;
+}
+
+/**
+ * @param {(Function|Object)} modelType
+ * @param {*} data
+ * @param {Object} [options] options of model constructor
+ * @returns {Model}
+ */
+function create(modelType, data, options) {
+    var ModelClass = getClass(modelType, data);
+    if (!ModelClass) {
+        throw new Error('Unknown ' + modelType.field + ' of nested model: ' + (isObject(data) ? data[modelType.field] : data));
+    }
+    return new ModelClass(data, options);
+}
+
+/**
+ * check if data chooses other model class than class of model
+ * @param {(Function|Object)} modelType
+ * @param {Model} model
+ * @param {*} data
+ * @returns {Boolean}
+ */
+function isSwitched(modelType, model, data) {
+    if (!isPolymorphic(modelType) || !isObject(data) || !(modelType.field in data)) {
+        return false;
+    }
+    return getClass(modelType, data) !== model.__self;
+}
+
+module.exports = {
+    isPolymorphic: isPolymorphic,
+    getClass: getClass,
+    isInstance: isInstance,
+    findInIdentityMap: findInIdentityMap,
+    create: create,
+    isSwitched: isSwitched
+};
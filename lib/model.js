@@ -6,8 +6,13 @@ var Events = require('./events'),
     Vow = require('vow-with-domain'),
     uniq = require('./uniq'),
     IdAttribute = require('./types/id'),
+    VersionAttribute = require('./types/version'),
+    AbortSignal = require('./abort-signal'),
+    Storage = require('./storage'),
     Attribute = require('./attribute'),
     fulfill = require('./fulfill'),
+    retry = require('./retry'),
+    UnitOfWork = require('./unit-of-work'),
 
     /**
      * @class Model
@@ -36,6 +41,12 @@ var Events = require('./events'),
 
             this.CHANGE_BRANCH = uniq();
 
+            /**
+             * state of model, which was sent to storage by last save
+             * @type {String}
+             */
+            this._saveBranch = uniq();
+
             Storage = options.storage || this.storage;
 
             if (options.collection) {
@@ -48,6 +59,18 @@ var Events = require('./events'),
 
             this._ready = true;
             this._readyPromise = fulfill();
+
+            /**
+             * number of running storage operations by name
+             * @type {Object.<string, Number>}
+             */
+            this._syncing = {};
+
+            /**
+             * last of storage operations, which are run one by one
+             * @type {Promise}
+             */
+            this._syncQueue = fulfill();
             this.storage = Storage ? new Storage() : null;
 
             this._attributesNames = Object.keys(this.attributes || {});
@@ -63,9 +86,13 @@ var Events = require('./events'),
                 if (this.attributes[attrName] instanceof IdAttribute) {
                     this.idAttribute = this.attributes[attrName];
                 }
+                if (this.attributes[attrName] instanceof VersionAttribute) {
+                    this.versionAttribute = this.attributes[attrName];
+                }
             }
 
             this.commit(this.CHANGE_BRANCH);
+            this._registerIdentity();
             this.calculate();
         },
 
@@ -101,6 +128,50 @@ var Events = require('./events'),
          */
         throwCalculationErrors: true,
 
+        /**
+         * how to resolve Model.ConflictError on update:
+         * 'reject' - reject save,
+         * 'local' - overwrite storage data with model data,
+         * 'remote' - replace model data with storage data,
+         * function (localData, remoteData, committedData) - returns merged data or promise of it
+         * @type {String|Function}
+         */
+        conflictResolution: 'reject',
+
+        /**
+         * how many times update is repeated after conflict is resolved with 'local' or merge policy
+         * @type {Number}
+         */
+        maxConflictResolutions: 3,
+
+        /**
+         * when true persistent models of class are kept in identity map by id,
+         * collections and nested attributes reuse them instead of creating new instances
+         * @type {Boolean}
+         */
+        identityMap: false,
+
+        /**
+         * when true `remove` keeps model after storage removal, so it can be restored.
+         * Removed model is destructed by `confirmRemove`
+         * @type {Boolean}
+         */
+        softRemove: false,
+
+        /**
+         * retry options of storage operations, overrides `retry` of storage
+         * @see Storage#retry
+         * @type {?Object}
+         */
+        retry: null,
+
+        /**
+         * @returns {?Number}
+         */
+        getVersion: function () {
+            return this.versionAttribute ? this.versionAttribute.get() : null;
+        },
+
         /**
          * if model was synced with storage
          * @return {Boolean}
@@ -118,43 +189,91 @@ var Events = require('./events'),
             if (!model.idAttribute) {
                 throw new Error('model without declared perisitent id attribute cat not be saved');
             }
-            return this._rejectDestructed().then(function () {
-                if (model.isNew()) {
-                    return model.ready().then(function () {
-                        return model.storage.insert(model);
-                    }).then(function (id) {
-                        model.idAttribute.set(id);
-                        model.commit();
-                        model.calculate();
-                        return model.ready();
+            return this._sync('save', function (queued) {
+                //model was saved by previous call and was not changed while it was saving
+                if (queued && !model.isDestructed() && !model.isNew() &&
+                    !model.isChanged() && !model.isChanged(model._saveBranch)) {
+                    return fulfill();
+                }
+                return model._rejectDestructed().then(function () {
+                    return model._persist();
+                }).then(function (persisted) {
+                    //nested models are committed with their owner
+                    persisted.forEach(function (item) {
+                        item.model.commit();
+                        if (item.inserted) {
+                            item.model.calculate();
+                        }
                     });
-                } else {
-                    return model.ready().then(function () {
-                        return model.storage.update(model);
-                    }).then(function () {
-                        model.commit();
+                    return Vow.all(persisted.map(function (item) {
+                        return item.model.ready();
+                    })).then(function () {
+                        return persisted.reduce(function (promise, item) {
+                            return promise.then(function () {
+                                return item.model.triggerAsync('afterSave');
+                            });
+                        }, fulfill());
                     });
-                }
+                });
             });
         },
 
         /**
-         * fetch model from storage
-         * @return {Promise}
+         * fetch model from storage.
+         * New fetch aborts pending one, so only result of latest fetch is applied
+         * @return {Promise} has `abort()` method, which rejects fetch with `Model.AbortError`
          */
         fetch: function () {
-            var model = this;
+            var model = this,
+                signal = new AbortSignal(),
+                promise;
+
             if (!model.idAttribute) {
                 throw new Error('model can not be fetched from persistent storage, if it has no persistent id');
             }
-            return this.ready().then(function () {
-                return model.storage.find(model);
-            }).then(function (data) {
-                model.set(data);
-                return model.ready();
-            }).then(function () {
-                model.commit();
+            if (this._fetchSignal) {
+                this._fetchSignal.abort();
+            }
+            this._fetchSignal = signal;
+            signal.onAbort(function () {
+                model.trigger('fetch:aborted');
+            });
+
+            promise = this._sync('fetch', function () {
+                return signal.wrap(fulfill().then(function () {
+                    return signal.aborted ? Vow.reject(new Storage.AbortError()) : model.triggerAsync('beforeFetch');
+                }).then(function () {
+                    return model.ready();
+                }).then(function () {
+                    return model._callStorage('find', model, {signal: signal});
+                }).then(function (data) {
+                    //stale data of aborted fetch is not applied
+                    if (signal.aborted) {
+                        return Vow.reject(new Storage.AbortError());
+                    }
+                    model.set(data);
+                    return model.ready();
+                }).then(function () {
+                    if (signal.aborted) {
+                        return Vow.reject(new Storage.AbortError());
+                    }
+                    model.commit();
+                    return model.triggerAsync('afterFetch');
+                }));
+            }).always(function (result) {
+                if (model._fetchSignal === signal) {
+                    model._fetchSignal = null;
+                }
+                return result;
             });
+
+            promise.abort = function () {
+                if (model._fetchSignal === signal) {
+                    signal.abort();
+                }
+            };
+
+            return promise;
         },
 
         /**
@@ -163,19 +282,97 @@ var Events = require('./events'),
          */
         remove: function () {
             var model = this;
-            if (model.isNew()) {
+            if (!model.isNew() && !model.idAttribute) {
+                throw new Error('model can not be removed from persistet storage, if it has no persistent id');
+            }
+            if (model.isNew() && !model.softRemove && !model.isSaving() && !model.isFetching() && !model.isRemoving() &&
+                !model._hasListeners('beforeRemove') && !model._hasListeners('afterRemove')) {
+                //nothing to wait for, new model is destructed at once
                 model.destruct();
                 return fulfill();
-            } else {
-                if (!model.idAttribute) {
-                    throw new Error('model can not be removed from persistet storage, if it has no persistent id');
-                }
-                return fulfill().then(function () {
-                    return model.storage.remove(model);
+            }
+            return this._sync('remove', function () {
+                return model.triggerAsync('beforeRemove').then(function () {
+                    if (!model.isNew()) {
+                        return model._callStorage('remove', model);
+                    }
                 }).then(function () {
-                    model.destruct();
+                    if (model.softRemove) {
+                        model._isRemoved = true;
+                        model.trigger('remove');
+                    }
+                    return model.triggerAsync('afterRemove');
                 });
+            }).then(function () {
+                if (!model.softRemove) {
+                    model.destruct();
+                }
+            });
+        },
+
+        /**
+         * if model is being saved
+         * @return {Boolean}
+         */
+        isSaving: function () {
+            return this._syncing.save > 0;
+        },
+
+        /**
+         * if model is being fetched
+         * @return {Boolean}
+         */
+        isFetching: function () {
+            return this._syncing.fetch > 0;
+        },
+
+        /**
+         * if model is being removed
+         * @return {Boolean}
+         */
+        isRemoving: function () {
+            return this._syncing.remove > 0;
+        },
+
+        /**
+         * check if model was softly removed and not restored
+         * @return {Boolean}
+         */
+        isRemoved: function () {
+            return Boolean(this._isRemoved);
+        },
+
+        /**
+         * bring softly removed model back, persisted model is restored with `storage.restore`
+         * @return {Promise} rejected if storage can not restore persisted model
+         */
+        restore: function () {
+            var model = this;
+            if (!model.isRemoved()) {
+                return fulfill();
             }
+            return fulfill().then(function () {
+                if (model.isNew()) {
+                    return;
+                }
+                if (typeof model.storage.restore !== 'function') {
+                    throw new Error('model can not be restored, storage has no restore method');
+                }
+                return model._callStorage('restore', model);
+            }).then(function () {
+                model._isRemoved = false;
+                model.trigger('restore');
+            });
+        },
+
+        /**
+         * finally confirm soft removal and destruct model
+         */
+        confirmRemove: function () {
+            if (!this.isRemoved()) {
+                throw new Error('model is not removed');
+            }
+            this.destruct();
         },
 
         /**
@@ -199,6 +396,7 @@ var Events = require('./events'),
          * destruct model instance
          */
         destruct: function () {
+            this._unregisterIdentity();
             this._isDestructed = true;
             this.trigger('destruct');
             this._eventEmitter.removeAllListeners();
@@ -321,6 +519,23 @@ var Events = require('./events'),
             return this._getSerializedData('getLastCommitted', branch);
         },
 
+        /**
+         * describe attributes changed since last commit
+         * @param {string} [branch=DEFAULT_BRANCH]
+         * @returns {Object.<string, {oldValue: *, newValue: *}>}
+         */
+        getChanges: function (branch) {
+            var changes = {};
+
+            this.eachAttribute(function (attribute) {
+                if (!attribute.internal && attribute.isChanged(branch)) {
+                    changes[attribute.name] = attribute.getChanges(branch);
+                }
+            });
+
+            return changes;
+        },
+
         /**
          * @param {String} [attr] - if not defined returns all attributes
          * @returns {*}
@@ -366,6 +581,19 @@ var Events = require('./events'),
             return this.attributes[attributeName].get();
         },
 
+        /**
+         * resolve model referenced by attribute
+         * @param {string} attributeName name of Reference attribute
+         * @returns {Promise<{?Model}>}
+         */
+        getRelated: function (attributeName) {
+            this._throwMissedAttribute(attributeName);
+            if (typeof this.attributes[attributeName].resolve !== 'function') {
+                throw new Error('Attribute ' + attributeName + ' is not a reference');
+            }
+            return this.attributes[attributeName].resolve();
+        },
+
         /**
          * return model data
          * @return {object}
@@ -431,6 +659,16 @@ var Events = require('./events'),
             }
         },
 
+        /**
+         * @returns {Promise}
+         */
+        triggerAsync: function (event, a1) {
+            switch (arguments.length) {
+                case 1: return this.__base(event, this);
+                case 2: return this.__base(event, this, a1);
+            }
+        },
+
         /**
          * to prevent loop calculations we limit it
          * @type {Number}
@@ -553,15 +791,20 @@ var Events = require('./events'),
         },
 
         _triggerEvents: function () {
-            var changedFileds;
+            var changedFileds, changedKeys;
 
             if (this.isChanged(this.CHANGE_BRANCH)) {
                 changedFileds = this._attributesNames.filter(function (attrName) {
                     return this.attributes[attrName].isChanged(this.CHANGE_BRANCH);
                 }, this);
+                //keys of map attributes should be known before commit
+                changedKeys = changedFileds.map(function (attrName) {
+                    var attribute = this.attributes[attrName];
+                    return attribute.getChangedKeys ? attribute.getChangedKeys(this.CHANGE_BRANCH) : [];
+                }, this);
                 this.commit(this.CHANGE_BRANCH);
-                changedFileds.forEach(function (attrName) {
-                    this._emitAttributeChange(this.attributes[attrName]);
+                changedFileds.forEach(function (attrName, index) {
+                    this._emitAttributeChange(this.attributes[attrName], changedKeys[index]);
                 }, this);
                 this._emitChange();
             }
@@ -569,9 +812,13 @@ var Events = require('./events'),
 
         /**
          * @param  {Model.Attribute} attribute
+         * @param  {Array.<String>} [keys] changed keys of map attribute
          */
-        _emitAttributeChange: function (attribute) {
+        _emitAttributeChange: function (attribute, keys) {
             this.trigger('change:' + attribute.name);
+            (keys || []).forEach(function (key) {
+                this.trigger('change:' + attribute.name + '.' + key);
+            }, this);
         },
 
         _emitChange: function () {
@@ -579,11 +826,221 @@ var Events = require('./events'),
         },
 
         /**
+         * insert or update model and its cascade nested models without commit
+         * @return {Promise<{Array.<{model: Model, inserted: Boolean}>}>} persisted models, nested first
+         */
+        _persist: function () {
+            var model = this,
+                persisted = [];
+
+            return model.triggerAsync('beforeSave').then(function () {
+                return model.ready();
+            }).then(function () {
+                return model._getCascadeModels().reduce(function (promise, nestedModel) {
+                    return promise.then(function () {
+                        if (nestedModel.isNew() || nestedModel.isChanged()) {
+                            return nestedModel._persist().then(function (nestedPersisted) {
+                                persisted = persisted.concat(nestedPersisted);
+                            });
+                        }
+                    });
+                }, fulfill());
+            }).then(function () {
+                //ids of inserted nested models could change calculations
+                return model.ready();
+            }).then(function () {
+                model.commit(model._saveBranch);
+                if (model.isNew()) {
+                    return model._callStorage('insert', model).then(function (id) {
+                        model.idAttribute.set(id);
+                        model._registerIdentity();
+                        return true;
+                    });
+                } else {
+                    return model._update().then(function () {
+                        return false;
+                    });
+                }
+            }).then(function (inserted) {
+                //id and version are changed by storage, not by user
+                [model.idAttribute, model.versionAttribute].forEach(function (attribute) {
+                    if (attribute) {
+                        attribute.commit(model._saveBranch);
+                    }
+                });
+                persisted.push({
+                    model: model,
+                    inserted: inserted
+                });
+                return persisted;
+            });
+        },
+
+        /**
+         * persistent nested models of attributes with enabled `cascade`
+         * @return {Array.<Model>}
+         */
+        _getCascadeModels: function () {
+            return this._attributesNames.reduce(function (models, attrName) {
+                var attribute = this.attributes[attrName],
+                    value = attribute.value;
+
+                if (!attribute.cascade || !value) {
+                    return models;
+                }
+
+                //ModelsList and Collection attributes keep models in array-like value
+                return models.concat(typeof value.map === 'function' ? value.map(function (nestedModel) {
+                    return nestedModel;
+                }) : [value]);
+            }.bind(this), []).filter(function (nestedModel) {
+                return nestedModel.storage && nestedModel.idAttribute;
+            });
+        },
+
+        /**
+         * run storage operation after previous ones, track its state and trigger sync events
+         * @param {String} operation save, fetch or remove
+         * @param {Function} fn returns promise, gets true if operation waited for other ones
+         * @return {Promise}
+         */
+        _sync: function (operation, fn) {
+            var model = this,
+                queued = Object.keys(this._syncing).some(function (name) {
+                    return model._syncing[name] > 0;
+                }),
+                promise;
+
+            this._syncing[operation] = (this._syncing[operation] || 0) + 1;
+            this.trigger('sync:start', {operation: operation});
+
+            promise = this._syncQueue.always(function () {
+                return fn(queued);
+            }).then(function (result) {
+                model._syncing[operation]--;
+                model.trigger('sync:success', {operation: operation});
+                return result;
+            }, function (err) {
+                model._syncing[operation]--;
+                model.trigger('sync:error', {operation: operation, error: err});
+                return Vow.reject(err);
+            });
+            //failed operation does not stop next ones
+            this._syncQueue = promise.always(function () {});
+
+            return promise;
+        },
+
+        /**
+         * call storage method with retries
+         * @param {String} method
+         * @param {...*} [args]
+         * @return {Promise}
+         */
+        _callStorage: function (method) {
+            var model = this,
+                args = Array.prototype.slice.call(arguments, 1);
+
+            return retry(function () {
+                return model.storage[method].apply(model.storage, args);
+            }, this.retry || this.storage.retry, function (info) {
+                info.operation = method;
+                model.trigger('retry', info);
+            }, method);
+        },
+
+        /**
+         * update model in storage and increase version
+         * @param {Number} [n=0] count of resolved conflicts
+         * @return {Promise}
+         */
+        _update: function (n) {
+            var model = this;
+            return fulfill().then(function () {
+                if (model.storage.partialUpdate) {
+                    return model._callStorage('update', model, model._getChangedData());
+                } else {
+                    return model._callStorage('update', model);
+                }
+            }).then(function () {
+                if (model.versionAttribute) {
+                    model.versionAttribute.set(model.getVersion() + 1);
+                }
+            }, function (err) {
+                if (err instanceof Storage.ConflictError && model.conflictResolution !== 'reject') {
+                    return model._resolveConflict(err, n || 0);
+                } else {
+                    return Vow.reject(err);
+                }
+            });
+        },
+
+        /**
+         * @param {Model.ConflictError} err
+         * @param {Number} n count of already resolved conflicts
+         * @return {Promise}
+         */
+        _resolveConflict: function (err, n) {
+            var model = this,
+                resolution = this.conflictResolution,
+                remoteData = err.data || {},
+                remoteVersion = this.versionAttribute ? remoteData[this.versionAttribute.name] : undefined;
+
+            if (resolution === 'remote') {
+                model.set(remoteData);
+                return model.ready();
+            }
+            //update is repeated only with other known version, otherwise it would conflict again
+            if (remoteVersion === undefined || remoteVersion === model.getVersion() || n >= model.maxConflictResolutions) {
+                return Vow.reject(err);
+            }
+            return fulfill().then(function () {
+                if (typeof resolution === 'function') {
+                    return resolution.call(model, model.toJSON(), remoteData, model.getLastCommitted());
+                }
+            }).then(function (mergedData) {
+                if (mergedData) {
+                    model.set(mergedData);
+                }
+                model.versionAttribute.set(remoteVersion);
+                return model.ready();
+            }).then(function () {
+                return model._update(n + 1);
+            });
+        },
+
+        /**
+         * add model to identity map of class, if there is no other model with same id
+         */
+        _registerIdentity: function () {
+            var models;
+            if (this.identityMap && !this.isNew()) {
+                models = this.__self._getIdentityMap();
+                if (!models.hasOwnProperty(this.getId())) {
+                    models[this.getId()] = this;
+                }
+            }
+        },
+
+        _unregisterIdentity: function () {
+            var models;
+            if (this.identityMap && !this.isNew()) {
+                models = this.__self._getIdentityMap();
+                if (models[this.getId()] === this) {
+                    delete models[this.getId()];
+                }
+            }
+        },
+
+        /**
+         * reject destructed and softly removed models
          * @return {Promise}
          */
         _rejectDestructed: function () {
             if (this.isDestructed()) {
                 return Vow.reject(new Error ('Model is destructed'));
+            } else if (this.isRemoved()) {
+                return Vow.reject(new Error ('Model is removed'));
             } else {
                 return fulfill();
             }
@@ -595,6 +1052,19 @@ var Events = require('./events'),
             }
         },
 
+        /**
+         * serialized data of attributes changed since last commit
+         * @param {string} [branch=DEFAULT_BRANCH]
+         * @returns {Object}
+         */
+        _getChangedData: function (branch) {
+            var changes = this.getChanges(branch);
+            return Object.keys(changes).reduce(function (data, attrName) {
+                data[attrName] = changes[attrName].newValue;
+                return data;
+            }, {});
+        },
+
         /**
          * @param {('toJSON'|'getLastCommitted'|'previous')} serializeMethod
          * @param {...*} [args]
@@ -624,23 +1094,144 @@ var Events = require('./events'),
             return this.__base(props, staticProps);
         },
 
+        /**
+         * get model from identity map or fetch it from storage
+         * @param {*} id
+         * @returns {Promise<{Model}>}
+         */
+        findById: function (id) {
+            var ModelClass = this,
+                data = {},
+                model = this._getIdentityMap()[id];
+
+            if (model) {
+                //model could be still fetching
+                return model._findByIdPromise || fulfill(model);
+            }
+
+            data[this._getIdAttributeName()] = id;
+            model = new ModelClass(data);
+            model._findByIdPromise = model.fetch().then(function () {
+                delete model._findByIdPromise;
+                return model;
+            }, function (err) {
+                delete model._findByIdPromise;
+                model.destruct();
+                return Vow.reject(err);
+            });
+
+            return model._findByIdPromise;
+        },
+
+        /**
+         * get model with same id from identity map and set data to it
+         * @param {Object} data
+         * @returns {?Model}
+         */
+        findInIdentityMap: function (data) {
+            var idName = this._getIdAttributeName(),
+                model;
+
+            if (!this.prototype.identityMap || !idName || !data || typeof data !== 'object' || data[idName] == null) {
+                return null;
+            }
+
+            model = this._getIdentityMap()[data[idName]];
+            if (model) {
+                model.set(data);
+            }
+
+            return model || null;
+        },
+
+        /**
+         * @returns {UnitOfWork}
+         */
+        unitOfWork: function () {
+            return new UnitOfWork();
+        },
+
+        /**
+         * save models together, fn can change models and add other models to unit of work.
+         * If fn or storage fails, models are reverted to state they had before transaction
+         * @param {Array.<Model>} models
+         * @param {Function} [fn] gets unit of work, can return promise
+         * @returns {Promise}
+         */
+        transaction: function (models, fn) {
+            var unitOfWork = this.unitOfWork();
+
+            models.forEach(function (model) {
+                unitOfWork.save(model);
+            });
+
+            return fulfill().then(function () {
+                return fn && fn(unitOfWork);
+            }).then(function () {
+                return unitOfWork.commit();
+            }, function (err) {
+                unitOfWork.rollback();
+                return Vow.reject(err);
+            });
+        },
+
+        /**
+         * remove all models from identity map of class
+         */
+        clearIdentityMap: function () {
+            this._identityMap = {
+                modelType: this,
+                models: {}
+            };
+        },
+
+        /**
+         * @returns {Object.<string, Model>}
+         */
+        _getIdentityMap: function () {
+            //static properties are copied to inherited classes, so map is checked to be own
+            if (!this._identityMap || this._identityMap.modelType !== this) {
+                this.clearIdentityMap();
+            }
+            return this._identityMap.models;
+        },
+
+        /**
+         * @returns {?String}
+         */
+        _getIdAttributeName: function () {
+            var attributes = this.prototype.attributes || {};
+            return Object.keys(attributes).filter(function (attrName) {
+                var Attribute = attributes[attrName];
+                return Attribute === IdAttribute || Attribute.prototype instanceof IdAttribute;
+            })[0] || null;
+        },
+
         /**
          * @class
          * @abstract
          */
-        Storage: require('./storage'),
+        Storage: Storage,
 
         attributeTypes: {
             Id: IdAttribute,
+            Version: VersionAttribute,
             String: require('./types/string'),
             Number: require('./types/number'),
+            Integer: require('./types/integer'),
+            Decimal: require('./types/decimal'),
             Boolean: require('./types/boolean'),
+            Date: require('./types/date'),
+            Enum: require('./types/enum'),
             List: require('./types/list'),
+            Map: require('./types/map'),
             Model: require('./types/model'),
             ModelsList: require('./types/models-list'),
             Collection: require('./types/collection'),
             Object: require('./types/object'),
-            Raw: require('./types/raw')
+            Raw: require('./types/raw'),
+            Reference: require('./types/reference'),
+            Set: require('./types/set')
         },
 
         /**
@@ -649,6 +1240,8 @@ var Events = require('./events'),
          */
         Attribute: require('./attribute'),
 
+        UnitOfWork: UnitOfWork,
+
         Collection: require('./collection'),
 
         /**
@@ -670,7 +1263,30 @@ var Events = require('./events'),
             ValidationError.prototype = Object.create(Error.prototype);
             ValidationError.prototype.constructor = ValidationError;
             return ValidationError;
-        }())
+        }()),
+
+        /**
+         * @class <{Error}>
+         * @prop {*} id of missed record
+         */
+        NotFoundError: Storage.NotFoundError,
+
+        /**
+         * @class <{Error}>
+         * @prop {Object} data current data in storage
+         */
+        ConflictError: Storage.ConflictError,
+
+        /**
+         * @class <{Error}>
+         * @prop {*} [cause] original error
+         */
+        StorageUnavailableError: Storage.StorageUnavailableError,
+
+        /**
+         * @class <{Error}>
+         */
+        AbortError: Storage.AbortError
 
     });
 
@@ -0,0 +1,106 @@
+/**
+ * Retry with exponential backoff
+ */
+var Vow = require('vow-with-domain'),
+    Storage = require('./storage'),
+    fulfill = require('./fulfill'),
+    DEFAULTS = {
+
+        /**
+         * total number of attempts
+         * @type {Number}
+         */
+        attempts: 1,
+
+        /**
+         * delay before first retry, ms
+         * @type {Number}
+         */
+        delay: 100,
+
+        /**
+         * delay multiplier for every next retry
+         * @type {Number}
+         */
+        factor: 2,
+
+        /**
+         * @type {Number}
+         */
+        maxDelay: 10000,
+
+        /**
+         * part of delay which is randomized, from 0 to 1
+         * @type {Number}
+         */
+        jitter: 0.5,
+
+        /**
+         * errors which are not retryable are rejected at once.
+         * Insert is not retried, it could succeed in storage though its response is lost
+         * @param {*} err
+         * @param {String} [operation] name of storage method
+         * @returns {Boolean}
+         */
+        isRetryable: function (err, operation) {
+            return operation !== 'insert' && !(
+                err instanceof Storage.NotFoundError ||
+                err instanceof Storage.ConflictError ||
+                err instanceof Storage.AbortError
+            );
+        }
+    };
+
+/**
+ * @param {Number} ms
+ * @returns {Promise}
+ */
+function wait(ms) {
+    var defer = Vow.defer();
+    //global setTimeout is taken on every call to work with fake timers
+    setTimeout(function () {
+        defer.resolve();
+    }, ms);
+    return defer.promise();
+}
+
+/**
+ * call function until it succeeds or attempts are over
+ * @param {Function} fn returns promise
+ * @param {Object} [options] see DEFAULTS
+ * @param {Function} [onRetry] called with {attempt: Number, error: *, delay: Number} before every retry
+ * @param {String} [operation] name of operation, passed to `isRetryable`
+ * @returns {Promise}
+ */
+module.exports = function (fn, options, onRetry, operation) {
+    var settings = Object.keys(DEFAULTS).reduce(function (result, key) {
+        result[key] = options && options[key] !== undefined ? options[key] : DEFAULTS[key];
+        return result;
+    }, {});
+
+    function attempt(n) {
+        return fulfill().then(fn).fail(function (err) {
+            var delay;
+
+            if (n >= settings.attempts || !settings.isRetryable(err, operation)) {
+                return Vow.reject(err);
+            }
+
+            delay = Math.min(settings.maxDelay, settings.delay * Math.pow(settings.factor, n - 1));
+            delay = Math.round(delay - delay * settings.jitter * Math.random());
+            if (onRetry) {
+                onRetry({
+                    attempt: n,
+                    error: err,
+                    delay: delay
+                });
+            }
+
+            return wait(delay).then(function () {
+                return attempt(n + 1);
+            });
+        });
+    }
+
+    return attempt(1);
+};
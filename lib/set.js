@@ -0,0 +1,63 @@
+/**
+ * Set of unique items
+ */
+
+/**
+ * @class
+ * @param {Model.Attribute} attribute
+ */
+var AttributeSet = function (attribute) {
+        this._attribute = attribute;
+    };
+
+/**
+ * @param  {Array}  value
+ * @return {Boolean}
+ */
+AttributeSet.prototype.isEqual = function (value) {
+    return this._attribute.isEqual(value);
+};
+
+/**
+ * add item if it is not in set
+ * @param {*} item
+ * @return {AttributeSet}
+ */
+AttributeSet.prototype.add = function (item) {
+    this._attribute.addItem(item);
+    return this;
+};
+
+/**
+ * @param  {*} item
+ * @return {Boolean} false if there was no such item
+ */
+AttributeSet.prototype.delete = function (item) {
+    return this._attribute.deleteItem(item);
+};
+
+/**
+ * @param  {*} item
+ * @return {Boolean}
+ */
+AttributeSet.prototype.has = function (item) {
+    return this._attribute.value.indexOf(item) !== -1;
+};
+
+/**
+ * know count of items
+ * @return {Number}
+ */
+AttributeSet.prototype.size = function () {
+    return this._attribute.value.length;
+};
+
+/**
+ * return array of items in order of set
+ * @return {Array}
+ */
+AttributeSet.prototype.toArray = function () {
+    return this._attribute.getItems();
+};
+
+module.exports = AttributeSet;
@@ -2,14 +2,33 @@
  * Storage
  */
 
-var Inheritable = require('./inheritable');
+var Inheritable = require('./inheritable'),
+    Storage;
 
 
 /**
  * Abstract class for model storage
  * @class {Inheritable} Storage
  */
-module.exports = Inheritable.inherit({
+Storage = Inheritable.inherit({
+        /**
+         * when true `update` receives only changed data as second argument
+         * @type {Boolean}
+         */
+        partialUpdate: false,
+
+        /**
+         * retry options of failed operations:
+         * attempts - total number of attempts (1),
+         * delay - delay before first retry in ms (100),
+         * factor - delay multiplier for every next retry (2),
+         * maxDelay - max delay in ms (10000),
+         * jitter - randomized part of delay from 0 to 1 (0.5),
+         * isRetryable - function (err, operation), by default insert, NotFoundError, ConflictError and AbortError are not retried
+         * @type {?Object}
+         */
+        retry: null,
+
         /**
          * save model to storage
          * @param  {Model} model
@@ -23,6 +42,7 @@ module.exports = Inheritable.inherit({
         /**
          * update model in storage
          * @param  {Model} model
+         * @param  {Object} [data] attributes changed since last commit, if `partialUpdate` is enabled
          * @abstract
          * @return {Model.id|Promise<{Model.id}>}
          */
@@ -33,6 +53,9 @@ module.exports = Inheritable.inherit({
         /**
          * find model in storage
          * @param  {Model} model
+         * @param  {Object} [options]
+         * @param  {AbortSignal} [options.signal] storage can stop request when `signal.aborted` becomes true,
+         * see `signal.onAbort(cb)`
          * @abstract
          * @return {object|Promise<{object}>} data
          */
@@ -42,7 +65,16 @@ module.exports = Inheritable.inherit({
 
 
         /**
-         * find model in storage
+         * run operations of unit of work in one request,
+         * operations are ordered: inserts, updates, removes
+         * @function
+         * @name Storage#batch
+         * @param  {Array.<{type: ('insert'|'update'|'remove'), model: Model}>} operations
+         * @return {Promise<{Array}>} results in order of operations, ids for inserts
+         */
+
+        /**
+         * remove model from storage
          * @param  {Model} model
          * @abstract
          * @return {undefined|Promise}
@@ -50,4 +82,122 @@ module.exports = Inheritable.inherit({
         remove: function () {
             throw new Error('.remove() is not implemented');
         }
+
+        /**
+         * bring softly removed model back to storage
+         * @function
+         * @name Storage#restore
+         * @param  {Model} model
+         * @return {undefined|Promise}
+         */
+}, {
+
+    /**
+     * @class <{Error}>
+     * @prop {*} id of missed record
+     */
+    NotFoundError: (function () {
+
+        /**
+         * @param {String} [message]
+         */
+        var NotFoundError = function (message) {
+            this.name = 'NotFoundError';
+            this.message = message || 'Not found';
+            Error.call(this);
+            if (Error.captureStackTrace) {
+                Error.captureStackTrace(this, this.constructor);
+            } else {
+                this.stack = (new Error()).stack;
+            }
+        };
+        NotFoundError.prototype = Object.create(Error.prototype);
+        NotFoundError.prototype.constructor = NotFoundError;
+        return NotFoundError;
+    })(),
+
+    /**
+     * @class <{Error}>
+     * @prop {Object} data current data of record in storage
+     */
+    ConflictError: (function () {
+
+        /**
+         * @param {String} [message]
+         * @param {Object} [data]
+         */
+        var ConflictError = function (message, data) {
+            this.name = 'ConflictError';
+            this.message = message || 'Conflict';
+            this.data = data;
+            Error.call(this);
+            if (Error.captureStackTrace) {
+                Error.captureStackTrace(this, this.constructor);
+            } else {
+                this.stack = (new Error()).stack;
+            }
+        };
+        ConflictError.prototype = Object.create(Error.prototype);
+        ConflictError.prototype.constructor = ConflictError;
+        return ConflictError;
+    })(),
+
+    /**
+     * storage can not be reached now, operation could succeed later
+     * @class <{Error}>
+     * @prop {*} [cause] original error
+     */
+    StorageUnavailableError: (function () {
+
+        /**
+         * @param {String} [message]
+         * @param {*} [cause]
+         */
+        var StorageUnavailableError = function (message, cause) {
+            this.name = 'StorageUnavailableError';
+            this.message = message || 'Storage is unavailable';
+            this.cause = cause;
+            Error.call(this);
+            if (Error.captureStackTrace) {
+                Error.captureStackTrace(this, this.constructor);
+            } else {
+                this.stack = (new Error()).stack;
+            }
+        };
+        StorageUnavailableError.prototype = Object.create(Error.prototype);
+        StorageUnavailableError.prototype.constructor = StorageUnavailableError;
+        return StorageUnavailableError;
+    })(),
+
+    /**
+     * operation was canceled
+     * @class <{Error}>
+     */
+    AbortError: (function () {
+
+        /**
+         * @param {String} [message]
+         */
+        var AbortError = function (message) {
+            this.name = 'AbortError';
+            this.message = message || 'Operation is aborted';
+            Error.call(this);
+            if (Error.captureStackTrace) {
+                Error.captureStackTrace(this, this.constructor);
+            } else {
+                this.stack = (new Error()).stack;
+            }
+        };
+        AbortError.prototype = Object.create(Error.prototype);
+        AbortError.prototype.constructor = AbortError;
+        return AbortError;
+    })()
 });
+
+module.exports = Storage;
+
+//built-in storages extend Storage, so they are required after export
+Storage.Memory = require('./storages/memory');
+Storage.File = require('./storages/file');
+Storage.Rest = require('./storages/rest');
+Storage.Queue = require('./storages/queue');
@@ -0,0 +1,207 @@
+/**
+ * JSON file storage
+ */
+var MemoryStorage = require('./memory'),
+    Vow = require('vow-with-domain'),
+    fs = require('fs'),
+    path = require('path'),
+    uniq = require('../uniq'),
+    fulfill = require('../fulfill'),
+    /**
+     * last operation promise by file path
+     * @type {Object.<String, Promise>}
+     */
+    queues = {},
+    FileStorage;
+
+/**
+ * call fs method as promise
+ * @param {String} method
+ * @param {...*} [args]
+ * @returns {Promise}
+ */
+function callFs(method) {
+    var args = Array.prototype.slice.call(arguments, 1),
+        defer = Vow.defer();
+
+    args.push(function (err, result) {
+        if (err) {
+            defer.reject(err);
+        } else {
+            defer.resolve(result);
+        }
+    });
+    fs[method].apply(fs, args);
+
+    return defer.promise();
+}
+
+/**
+ * run operations over one file one by one
+ * @param {String} filePath
+ * @param {Function} fn
+ * @returns {Promise}
+ */
+function enqueue(filePath, fn) {
+    var result = (queues[filePath] || fulfill()).always(function () {
+        return fn();
+    });
+
+    queues[filePath] = result.always(function () {
+        if (queues[filePath] === result) {
+            delete queues[filePath];
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Storage which keeps records of model class in JSON file.
+ * File is read before every operation and written atomically after every change.
+ * Operations over one file are run one by one
+ * @class FileStorage
+ * @extends MemoryStorage
+ */
+FileStorage = MemoryStorage.inherit(/** @lends FileStorage.prototype */{
+
+    /**
+     * path to JSON file
+     * @type {?String}
+     */
+    file: null,
+
+    /**
+     * directory for JSON file named by `name`, used if `file` is not defined
+     * @type {?String}
+     */
+    directory: null,
+
+    /**
+     * @type {?String}
+     */
+    name: null,
+
+    /**
+     * @override {MemoryStorage}
+     */
+    insert: function () {
+        return this._sync(this.__base, arguments, true);
+    },
+
+    /**
+     * @override {MemoryStorage}
+     */
+    update: function () {
+        return this._sync(this.__base, arguments, true);
+    },
+
+    /**
+     * @override {MemoryStorage}
+     */
+    find: function () {
+        return this._sync(this.__base, arguments, false);
+    },
+
+    /**
+     * @override {MemoryStorage}
+     */
+    remove: function () {
+        return this._sync(this.__base, arguments, true);
+    },
+
+    /**
+     * @override {MemoryStorage}
+     */
+    restore: function () {
+        return this._sync(this.__base, arguments, true);
+    },
+
+    /**
+     * @returns {String}
+     */
+    getPath: function () {
+        if (this.file) {
+            return this.file;
+        } else if (this.directory && this.name) {
+            return path.join(this.directory, this.name + '.json');
+        } else {
+            throw new Error('file or directory and name should be defined for file storage');
+        }
+    },
+
+    /**
+     * read file, run operation over records and write changed records
+     * @param {Function} method of MemoryStorage
+     * @param {Arguments} args
+     * @param {Boolean} write
+     * @returns {Promise}
+     */
+    _sync: function (method, args, write) {
+        var storage = this,
+            filePath = this.getPath();
+
+        return enqueue(filePath, function () {
+            var result;
+            return storage._read(filePath).then(function () {
+                return method.apply(storage, args);
+            }).then(function (methodResult) {
+                result = methodResult;
+                if (write) {
+                    return storage._write(filePath);
+                }
+            }).then(function () {
+                return result;
+            });
+        });
+    },
+
+    /**
+     * @param {String} filePath
+     * @returns {Promise}
+     */
+    _read: function (filePath) {
+        var StorageClass = this.__self;
+        return callFs('readFile', filePath, 'utf8').then(function (content) {
+            var db = JSON.parse(content);
+            StorageClass._records = db.records;
+            StorageClass._lastId = db.lastId;
+        }, function (err) {
+            if (err.code === 'ENOENT') {
+                StorageClass.reset();
+            } else {
+                return Vow.reject(err);
+            }
+        });
+    },
+
+    /**
+     * write to temporary file and rename it
+     * @param {String} filePath
+     * @returns {Promise}
+     */
+    _write: function (filePath) {
+        var tmpPath = filePath + '.' + process.pid + '.' + uniq() + '.tmp',
+            content = JSON.stringify({
+                lastId: this.__self._lastId,
+                records: this.__self._records
+            }, null, 4);
+
+        return callFs('writeFile', tmpPath, content, 'utf8').then(function () {
+            return callFs('rename', tmpPath, filePath);
+        }, function (err) {
+            if (err.code === 'ENOENT') {
+                //directory is missed
+                return callFs('mkdir', path.dirname(filePath)).then(function () {
+                    return callFs('writeFile', tmpPath, content, 'utf8');
+                }).then(function () {
+                    return callFs('rename', tmpPath, filePath);
+                });
+            } else {
+                return Vow.reject(err);
+            }
+        });
+    }
+});
+
+module.exports = FileStorage;
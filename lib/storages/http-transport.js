@@ -0,0 +1,71 @@
+/**
+ * HTTP transport for REST storage
+ */
+var Vow = require('vow-with-domain'),
+    http = require('http'),
+    https = require('https'),
+    url = require('url');
+
+/**
+ * @param {String} body
+ * @returns {*} parsed JSON or body as is
+ */
+function parseBody(body) {
+    if (!body) {
+        return null;
+    }
+    try {
+        return JSON.parse(body);
+    } catch (e) {
+        return body;
+    }
+}
+
+/**
+ * send request with node http module, body is serialized to JSON
+ * @param {Object} request
+ * @param {String} request.method
+ * @param {String} request.url
+ * @param {Object} [request.headers]
+ * @param {*} [request.body]
+ * @param {AbortSignal} [request.signal] request is destroyed when signal is aborted
+ * @returns {Promise<{status: Number, body: *}>}
+ */
+module.exports = function (request) {
+    var defer = Vow.defer(),
+        options = url.parse(request.url),
+        client = options.protocol === 'https:' ? https : http,
+        req;
+
+    options.method = request.method;
+    options.headers = request.headers || {};
+
+    req = client.request(options, function (res) {
+        var chunks = [];
+        res.setEncoding('utf8');
+        res.on('data', function (chunk) {
+            chunks.push(chunk);
+        });
+        res.on('end', function () {
+            defer.resolve({
+                status: res.statusCode,
+                body: parseBody(chunks.join(''))
+            });
+        });
+    });
+    req.on('error', function (err) {
+        defer.reject(err);
+    });
+    if (request.signal) {
+        request.signal.onAbort(function () {
+            req.destroy();
+            defer.reject(new Error('Request is aborted'));
+        });
+    }
+    if (request.body !== undefined) {
+        req.write(JSON.stringify(request.body));
+    }
+    req.end();
+
+    return defer.promise();
+};
@@ -0,0 +1,172 @@
+/**
+ * In-memory storage
+ */
+var Storage = require('../storage'),
+    Vow = require('vow-with-domain'),
+    fulfill = require('../fulfill'),
+    MemoryStorage;
+
+/**
+ * @param {*} data
+ * @returns {*} deep copy of serializable data
+ */
+function copy(data) {
+    return data === undefined ? data : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Storage which keeps records in memory.
+ * Records are shared by all instances of storage class,
+ * every inherited class gets its own records.
+ * @class MemoryStorage
+ * @extends Storage
+ */
+MemoryStorage = Storage.inherit(/** @lends MemoryStorage.prototype */{
+
+    /**
+     * @override {Storage}
+     */
+    insert: function (model) {
+        var storage = this;
+        return fulfill().then(function () {
+            var id = storage.generateId(model),
+                data = copy(model.toJSON());
+
+            data[model.idAttribute.name] = id;
+            storage.__self._records[id] = data;
+            return id;
+        });
+    },
+
+    /**
+     * @override {Storage}
+     */
+    update: function (model, changedData) {
+        var storage = this;
+        return this._findRecord(model).then(function (record) {
+            var data = copy(changedData || model.toJSON()),
+                versionAttribute = model.versionAttribute;
+
+            if (versionAttribute && record[versionAttribute.name] !== versionAttribute.get()) {
+                return Vow.reject(new Storage.ConflictError(
+                    'Record ' + model.getId() + ' has version ' + record[versionAttribute.name],
+                    copy(record)
+                ));
+            }
+            if (changedData) {
+                Object.keys(data).forEach(function (key) {
+                    record[key] = data[key];
+                });
+                data = record;
+            }
+            data[model.idAttribute.name] = model.getId();
+            if (versionAttribute) {
+                data[versionAttribute.name] = versionAttribute.get() + 1;
+            }
+            storage.__self._records[model.getId()] = data;
+        });
+    },
+
+    /**
+     * @override {Storage}
+     */
+    find: function (model) {
+        return this._findRecord(model).then(copy);
+    },
+
+    /**
+     * @override {Storage}
+     */
+    remove: function (model) {
+        var storage = this;
+        return this._findRecord(model).then(function () {
+            delete storage.__self._records[model.getId()];
+        });
+    },
+
+    /**
+     * store removed model again with its id
+     * @param {Model} model
+     * @returns {Promise}
+     */
+    restore: function (model) {
+        var storage = this;
+        return fulfill().then(function () {
+            var data = copy(model.toJSON());
+            data[model.idAttribute.name] = model.getId();
+            storage.__self._records[model.getId()] = data;
+        });
+    },
+
+    /**
+     * create id for new record, id is converted with `dataType` of model id attribute
+     * @param {Model} model
+     * @returns {*}
+     */
+    generateId: function (model) {
+        return model.idAttribute.dataType(++this.__self._lastId);
+    },
+
+    /**
+     * @param {Model} model
+     * @returns {Promise<{Object}, {Storage.NotFoundError}>} stored record
+     */
+    _findRecord: function (model) {
+        var storage = this;
+        return fulfill().then(function () {
+            var id = model.getId(),
+                error;
+
+            if (storage.__self._records.hasOwnProperty(id)) {
+                return storage.__self._records[id];
+            } else {
+                error = new Storage.NotFoundError('Record ' + id + ' is not found');
+                error.id = id;
+                return Vow.reject(error);
+            }
+        });
+    }
+
+}, /** @lends MemoryStorage */{
+
+    /**
+     * @override {Inheritable}
+     */
+    inherit: function (props, staticProps) {
+        var StorageClass = this.__base(props, staticProps);
+        StorageClass.reset();
+        return StorageClass;
+    },
+
+    /**
+     * remove all records and restart ids
+     * @param {Array.<Object>} [records] initial records, should contain ids
+     * @param {String} [idName='id'] name of id field in records
+     */
+    reset: function (records, idName) {
+        this._records = {};
+        this._lastId = 0;
+        idName = idName || 'id';
+        (records || []).forEach(function (record) {
+            var id = record[idName];
+            this._records[id] = copy(record);
+            if (Number(id) > this._lastId) {
+                this._lastId = Number(id);
+            }
+        }, this);
+    },
+
+    /**
+     * get copy of all stored records
+     * @returns {Array.<Object>}
+     */
+    dump: function () {
+        return Object.keys(this._records).map(function (id) {
+            return copy(this._records[id]);
+        }, this);
+    }
+});
+
+MemoryStorage.reset();
+
+module.exports = MemoryStorage;
@@ -0,0 +1,383 @@
+/**
+ * Offline operations queue
+ */
+var Storage = require('../storage'),
+    Inheritable = require('../inheritable'),
+    Vow = require('vow-with-domain'),
+    fulfill = require('../fulfill'),
+    QueueStorage;
+
+/**
+ * @param {*} data
+ * @returns {*} deep copy of serializable data
+ */
+function copy(data) {
+    return data === undefined ? data : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Storage which records insert, update and remove operations instead of running them.
+ * Operations are replayed over `storage` by `flush()`.
+ * New models get temporary ids, which are replaced with storage ids on flush.
+ * Operations are shared by all instances of storage class,
+ * every inherited class gets its own queue.
+ * @class QueueStorage
+ * @extends Storage
+ */
+QueueStorage = Storage.inherit(/** @lends QueueStorage.prototype */{
+
+    /**
+     * storage class to replay operations over
+     * @abstract
+     * @type {Function}
+     */
+    storage: null,
+
+    /**
+     * keeps operations between sessions, should have methods
+     * `load()` returning (promise of) saved state and `save(state)`
+     * @type {?{load: Function, save: Function}}
+     */
+    backend: null,
+
+    /**
+     * @override {Storage}
+     */
+    insert: function (model) {
+        var StorageClass = this.__self,
+            storage = this;
+
+        return StorageClass._change(model, function (operations) {
+            var id = storage.generateTempId(model),
+                data = copy(model.toJSON());
+
+            data[model.idAttribute.name] = id;
+            StorageClass._models[id] = model;
+            operations.push({
+                type: 'insert',
+                id: id,
+                data: data
+            });
+            return id;
+        });
+    },
+
+    /**
+     * @override {Storage}
+     */
+    update: function (model) {
+        var StorageClass = this.__self;
+
+        return StorageClass._change(model, function (operations) {
+            var id = model.getId(),
+                data = copy(model.toJSON()),
+                //every update of versioned model increases version of model, so it should increase stored version too
+                pending = !model.versionAttribute && operations.filter(function (operation) {
+                    return operation.id === id && operation.type !== 'remove' && operation !== StorageClass._replaying;
+                })[0];
+
+            if (pending) {
+                pending.data = data;
+            } else {
+                operations.push({
+                    type: 'update',
+                    id: id,
+                    data: data
+                });
+            }
+        });
+    },
+
+    /**
+     * @override {Storage}
+     */
+    find: function (model, options) {
+        var StorageClass = this.__self;
+
+        return StorageClass._load().then(function () {
+            var id = model.getId(),
+                pending = StorageClass._state.operations.filter(function (operation) {
+                    return operation.id === id;
+                }).pop();
+
+            if (pending && pending.type === 'remove') {
+                return Vow.reject(new Storage.NotFoundError('Record ' + id + ' is removed'));
+            } else if (pending) {
+                return copy(pending.data);
+            } else {
+                return new StorageClass.prototype.storage().find(model, options);
+            }
+        });
+    },
+
+    /**
+     * @override {Storage}
+     */
+    remove: function (model) {
+        var StorageClass = this.__self;
+
+        return StorageClass._change(model, function (operations) {
+            var id = model.getId(),
+                inserted = operations.some(function (operation) {
+                    return operation.id === id && operation.type === 'insert';
+                });
+
+            StorageClass._state.operations = operations = operations.filter(function (operation) {
+                return operation.id !== id;
+            });
+            //not inserted model is just forgotten
+            if (inserted) {
+                delete StorageClass._models[id];
+            } else {
+                operations.push({
+                    type: 'remove',
+                    id: id,
+                    data: copy(model.toJSON())
+                });
+            }
+        });
+    },
+
+    /**
+     * create temporary id for new model, id is converted with `dataType` of model id attribute
+     * @param {Model} model
+     * @returns {*}
+     */
+    generateTempId: function (model) {
+        return model.idAttribute.dataType(-(++this.__self._state.lastTempId));
+    }
+
+}, /** @lends QueueStorage */{
+
+    /**
+     * @override {Inheritable}
+     */
+    inherit: function (props, staticProps) {
+        var StorageClass = this.__base(props, staticProps);
+        StorageClass.reset();
+        return StorageClass;
+    },
+
+    /**
+     * model class used to replay operations restored from backend,
+     * it is taken from first queued model if not defined
+     * @type {?Function}
+     */
+    modelType: null,
+
+    /**
+     * forget all pending operations, saved state of backend is not changed
+     */
+    reset: function () {
+        this._state = {
+            operations: [],
+            lastTempId: 0
+        };
+        this._models = {};
+        this._loadPromise = null;
+        this._flushPromise = null;
+        this._replaying = null;
+        this._savePromise = fulfill();
+    },
+
+    /**
+     * get copy of pending operations
+     * @returns {Promise<{Array.<{type: String, id: *, data: Object}>}>}
+     */
+    getOperations: function () {
+        var StorageClass = this;
+        return this._load().then(function () {
+            return copy(StorageClass._state.operations);
+        });
+    },
+
+    /**
+     * replay pending operations one by one.
+     * Flush stops on first failed operation, it and next operations stay in queue
+     * @returns {Promise}
+     */
+    flush: function () {
+        var StorageClass = this,
+            flush = function () {
+                var operation = StorageClass._state.operations[0];
+                if (!operation) {
+                    return fulfill();
+                }
+                StorageClass._replaying = operation;
+                return StorageClass._replay(operation).then(function () {
+                    //operations could be changed while operation was replayed
+                    StorageClass._state.operations = StorageClass._state.operations.filter(function (pending) {
+                        return pending !== operation;
+                    });
+                    return StorageClass._save();
+                }).then(flush);
+            };
+
+        if (!this._flushPromise) {
+            this._flushPromise = this._load().then(flush).always(function (promise) {
+                StorageClass._flushPromise = null;
+                StorageClass._replaying = null;
+                return promise;
+            });
+        }
+
+        return this._flushPromise;
+    },
+
+    /**
+     * @param {{type: String, id: *, data: Object}} operation
+     * @returns {Promise}
+     */
+    _replay: function (operation) {
+        var StorageClass = this,
+            storage = new this.prototype.storage(),
+            ModelType = this.modelType,
+            data = copy(operation.data),
+            model;
+
+        if (!ModelType || !ModelType._getIdAttributeName()) {
+            return Vow.reject(new Error('modelType with id attribute should be defined to replay restored operations'));
+        }
+        if (operation.type === 'insert') {
+            //replayed model should be new, temporary id is not sent to storage
+            data[ModelType._getIdAttributeName()] = null;
+        }
+        //identity map keeps live model, so replayed model does not affect it
+        model = new ModelType(data);
+
+        return fulfill().then(function () {
+            switch (operation.type) {
+                case 'insert':
+                    return storage.insert(model).then(function (id) {
+                        StorageClass._remapId(operation.id, id);
+                    });
+                case 'update':
+                    return storage.update(model);
+                case 'remove':
+                    return storage.remove(model);
+            }
+        }).always(function (promise) {
+            model.destruct();
+            return promise;
+        });
+    },
+
+    /**
+     * replace temporary id with storage id in pending operations and live model
+     * @param {*} tempId
+     * @param {*} id
+     */
+    _remapId: function (tempId, id) {
+        var model = this._models[tempId],
+            idName = this.modelType._getIdAttributeName();
+
+        this._state.operations.forEach(function (operation) {
+            if (operation.id === tempId) {
+                operation.id = id;
+                operation.data[idName] = id;
+            }
+        });
+        delete this._models[tempId];
+
+        if (model && !model.isDestructed() && model.getId() === tempId) {
+            model._unregisterIdentity();
+            model.idAttribute.set(id);
+            //id change should not make model changed
+            model.idAttribute.commit();
+            model._registerIdentity();
+        }
+    },
+
+    /**
+     * change pending operations and save them to backend
+     * @param {Model} model
+     * @param {Function} fn gets operations
+     * @returns {Promise} result of fn
+     */
+    _change: function (model, fn) {
+        var StorageClass = this;
+
+        this.modelType = this.modelType || model.__self;
+
+        return this._load().then(function () {
+            var result = fn(StorageClass._state.operations);
+            return StorageClass._save().then(function () {
+                return result;
+            });
+        });
+    },
+
+    /**
+     * load saved state from backend once
+     * @returns {Promise}
+     */
+    _load: function () {
+        var StorageClass = this,
+            backend = this.prototype.backend;
+
+        if (!this._loadPromise) {
+            this._loadPromise = fulfill().then(function () {
+                return backend && backend.load();
+            }).then(function (state) {
+                if (state) {
+                    StorageClass._state = {
+                        //operations queued before load are kept
+                        operations: copy(state.operations || []).concat(StorageClass._state.operations),
+                        lastTempId: Math.max(state.lastTempId || 0, StorageClass._state.lastTempId)
+                    };
+                }
+            });
+        }
+
+        return this._loadPromise;
+    },
+
+    /**
+     * save state to backend, saves are run one by one
+     * @returns {Promise}
+     */
+    _save: function () {
+        var backend = this.prototype.backend,
+            state = copy(this._state);
+
+        if (!backend) {
+            return fulfill();
+        }
+        this._savePromise = this._savePromise.always(function () {
+            return backend.save(state);
+        });
+
+        return this._savePromise;
+    },
+
+    /**
+     * Backend which keeps state in memory, useful for tests
+     * @class
+     */
+    MemoryBackend: Inheritable.inherit({
+
+        __constructor: function (state) {
+            this.state = state || null;
+        },
+
+        /**
+         * @returns {Promise<{?Object}>}
+         */
+        load: function () {
+            return fulfill(copy(this.state));
+        },
+
+        /**
+         * @param {Object} state
+         * @returns {Promise}
+         */
+        save: function (state) {
+            this.state = copy(state);
+            return fulfill();
+        }
+    })
+});
+
+QueueStorage.reset();
+
+module.exports = QueueStorage;
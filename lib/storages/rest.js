@@ -0,0 +1,200 @@
+/**
+ * REST storage
+ */
+var Storage = require('../storage'),
+    Vow = require('vow-with-domain'),
+    fulfill = require('../fulfill'),
+    RestStorage;
+
+/**
+ * Storage which maps operations to HTTP requests:
+ * insert - POST, update - PUT (PATCH for partial update), find - GET, remove - DELETE
+ * @class RestStorage
+ * @extends Storage
+ */
+RestStorage = Storage.inherit(/** @lends RestStorage.prototype */{
+
+    /**
+     * @type {String}
+     */
+    baseUrl: '',
+
+    /**
+     * url template of model, `{name}` is replaced with attribute value,
+     * segment with id is dropped for new models
+     * @example '/users/{userId}/posts/{id}'
+     * @type {?String}
+     */
+    route: null,
+
+    /**
+     * @type {Object}
+     */
+    headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+    },
+
+    /**
+     * send request
+     * @param {Object} request
+     * @param {String} request.method
+     * @param {String} request.url
+     * @param {Object} request.headers
+     * @param {*} [request.body]
+     * @returns {Promise<{status: Number, body: *}>}
+     */
+    transport: require('./http-transport'),
+
+    /**
+     * @override {Storage}
+     * @returns {Promise<{Model.id}>} id from response body
+     */
+    insert: function (model) {
+        return this._request('POST', model, model.toJSON()).then(function (body) {
+            return body !== null && typeof body === 'object' ? body[model.idAttribute.name] : body;
+        });
+    },
+
+    /**
+     * @override {Storage}
+     */
+    update: function (model, changedData) {
+        if (changedData) {
+            return this._request('PATCH', model, changedData);
+        } else {
+            return this._request('PUT', model, model.toJSON());
+        }
+    },
+
+    /**
+     * @override {Storage}
+     */
+    find: function (model, options) {
+        return this._request('GET', model, undefined, options && options.signal);
+    },
+
+    /**
+     * @override {Storage}
+     */
+    remove: function (model) {
+        return this._request('DELETE', model);
+    },
+
+    /**
+     * @param {Model} model
+     * @returns {String}
+     */
+    getUrl: function (model) {
+        var route = this.route,
+            idName = model.idAttribute.name;
+
+        if (!route) {
+            throw new Error('route should be defined for rest storage');
+        }
+        if (model.isNew()) {
+            route = route.replace(new RegExp('/?\\{' + idName + '\\}'), '');
+        }
+
+        return this.baseUrl + route.replace(/\{(\w+)\}/g, function (match, attrName) {
+            return encodeURIComponent(model.get(attrName));
+        });
+    },
+
+    /**
+     * @param {String} method
+     * @param {Model} model
+     * @param {*} [body]
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<{*}>} response body
+     */
+    _request: function (method, model, body, signal) {
+        var storage = this;
+        return fulfill().then(function () {
+            var request = {
+                method: method,
+                url: storage.getUrl(model),
+                headers: storage.headers,
+                body: body
+            };
+            if (signal) {
+                request.signal = signal;
+            }
+            return fulfill().then(function () {
+                return storage.transport(request);
+            }).fail(function (err) {
+                if (signal && signal.aborted) {
+                    return Vow.reject(new Storage.AbortError());
+                }
+                //request was not sent or response was not got
+                return Vow.reject(new Storage.StorageUnavailableError(err && err.message, err));
+            });
+        }).then(function (response) {
+            if (response.status >= 200 && response.status < 300) {
+                return response.body;
+            } else {
+                return Vow.reject(storage._createError(response, model));
+            }
+        });
+    },
+
+    /**
+     * @param {{status: Number, body: *}} response
+     * @param {Model} model
+     * @returns {Error}
+     */
+    _createError: function (response, model) {
+        var error;
+
+        switch (response.status) {
+            case 404:
+                error = new Storage.NotFoundError('Record ' + model.getId() + ' is not found');
+                error.id = model.getId();
+                break;
+            case 409:
+            case 412:
+                error = new Storage.ConflictError('Record ' + model.getId() + ' is changed', response.body);
+                break;
+            case 502:
+            case 503:
+            case 504:
+                error = new Storage.StorageUnavailableError('Request failed with status ' + response.status);
+                break;
+            default:
+                error = new RestStorage.HttpError('Request failed with status ' + response.status);
+        }
+        error.status = response.status;
+        error.body = response.body;
+
+        return error;
+    }
+
+}, /** @lends RestStorage */{
+
+    /**
+     * @class <{Error}>
+     * @prop {Number} status
+     * @prop {*} body
+     */
+    HttpError: (function () {
+
+        /**
+         * @param {String} [message]
+         */
+        var HttpError = function (message) {
+            this.name = 'HttpError';
+            this.message = message;
+            Error.call(this);
+            if (Error.captureStackTrace) {
+                Error.captureStackTrace(this, this.constructor);
+            } else {
+                this.stack = (new Error()).stack;
+            }
+        };
+        HttpError.prototype = Object.create(Error.prototype);
+        HttpError.prototype.constructor = HttpError;
+        return HttpError;
+    })()
+});
+
+module.exports = RestStorage;
@@ -10,8 +10,8 @@ var Attribute = require('../attribute'),
 CollectionAttribute = Attribute.inherit(/** @lends CollectionAttribute.prototype */{
 
     /**
-     * @type {?Function}
-     * @constructs Model
+     * model class or polymorphic type, see ModelAttribute
+     * @type {?(Function|Object)}
      */
     modelType: null,
 
@@ -21,6 +21,12 @@ CollectionAttribute = Attribute.inherit(/** @lends CollectionAttribute.prototype
      */
     collectionType: null,
 
+    /**
+     * when true nested persistent models are inserted or updated before owner on save
+     * @type {Boolean}
+     */
+    cascade: false,
+
     default: null,
 
     validate: function () {
@@ -105,6 +111,18 @@ CollectionAttribute = Attribute.inherit(/** @lends CollectionAttribute.prototype
         return this.value.previous();
     },
 
+    /**
+     * @override {Attribute}
+     * @returns {{oldValue: Array, newValue: Array, changes: Object}} changes of nested models by index
+     */
+    getChanges: function (branch) {
+        return {
+            oldValue: this.value.getLastCommited(branch),
+            newValue: this.value.toJSON(),
+            changes: this.value.getChanges(branch)
+        };
+    },
+
     /**
      * @param {*} value
      * @returns {Boolean}
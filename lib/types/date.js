@@ -0,0 +1,109 @@
+/**
+ * Date attribute
+ */
+var Attribute = require('../attribute');
+
+/**
+ * Keeps time value of date, so date can not be changed by reference
+ * @class DateAttribute
+ * @extends Attribute
+ */
+module.exports = Attribute.inherit(/** @lends DateAttribute.prototype */{
+
+    default: null,
+
+    /**
+     * earliest valid date
+     * @type {?(Date|String|Number)}
+     */
+    min: null,
+
+    /**
+     * latest valid date
+     * @type {?(Date|String|Number)}
+     */
+    max: null,
+
+    /**
+     * serialize to ISO 8601 string
+     * @override {Attribute}
+     */
+    toJSON: function () {
+        return this._toISOString(this.value);
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    getChanges: function (branch) {
+        branch = branch || this.DEFAULT_BRANCH;
+        return {
+            oldValue: this._toISOString(this._cachBranches[branch]),
+            newValue: this.toJSON()
+        };
+    },
+
+    /**
+     * compare by time value
+     * @override {Attribute}
+     */
+    isEqual: function (value) {
+        value = this._toAttributeValue(value);
+        if (typeof value === 'number' && typeof this.value === 'number' && isNaN(value) && isNaN(this.value)) {
+            return true;
+        }
+        return this.value === value;
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    getValidationError: function () {
+        if (this.value === null) {
+            return;
+        }
+        if (isNaN(this.value)) {
+            return 'invalid date';
+        }
+        if (this.min !== null && this.value < this._toAttributeValue(this.min)) {
+            return 'date is before ' + this._toISOString(this._toAttributeValue(this.min));
+        }
+        if (this.max !== null && this.value > this._toAttributeValue(this.max)) {
+            return 'date is after ' + this._toISOString(this._toAttributeValue(this.max));
+        }
+    },
+
+    /**
+     * @override {Attribute}
+     * @param {?(Date|String|Number)} value date, ISO 8601 string or milliseconds since epoch
+     * @returns {?Number} time value, NaN for invalid date
+     */
+    _toAttributeValue: function (value) {
+        if (value === null || value === undefined) {
+            return null;
+        } else if (value instanceof Date) {
+            return value.getTime();
+        } else if (typeof value === 'string' || typeof value === 'number') {
+            return new Date(value).getTime();
+        } else {
+            return NaN;
+        }
+    },
+
+    /**
+     * new instance of Date is returned every time
+     * @override {Attribute}
+     * @returns {?Date}
+     */
+    _fromAttributeValue: function (value) {
+        return value === null || value === undefined ? null : new Date(value);
+    },
+
+    /**
+     * @param {?Number} value
+     * @returns {?String}
+     */
+    _toISOString: function (value) {
+        return value === null || value === undefined || isNaN(value) ? null : new Date(value).toISOString();
+    }
+});
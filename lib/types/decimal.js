@@ -0,0 +1,130 @@
+/**
+ * Decimal attribute
+ */
+var NumberAttribute = require('./number'),
+    ROUNDING = {
+
+        /**
+         * half away from zero
+         * @param {Number} value
+         * @returns {Number}
+         */
+        round: function (value) {
+            return value < 0 ? -Math.round(-value) : Math.round(value);
+        },
+
+        /**
+         * half to even, banker's rounding
+         * @param {Number} value
+         * @returns {Number}
+         */
+        halfEven: function (value) {
+            var floor = Math.floor(value),
+                diff = value - floor;
+
+            if (diff > 0.5) {
+                return floor + 1;
+            } else if (diff < 0.5) {
+                return floor;
+            } else {
+                return floor % 2 === 0 ? floor : floor + 1;
+            }
+        },
+
+        floor: Math.floor,
+
+        ceil: Math.ceil,
+
+        /**
+         * @param {Number} value
+         * @returns {Number}
+         */
+        trunc: function (value) {
+            return value < 0 ? Math.ceil(value) : Math.floor(value);
+        }
+    };
+
+/**
+ * multiply number by power of ten through its string representation,
+ * so 1.005 is shifted to exactly 100.5
+ * @param {Number} value
+ * @param {Number} exponent
+ * @returns {Number}
+ */
+function shift(value, exponent) {
+    var parts = String(value).split('e');
+    return Number(parts[0] + 'e' + (Number(parts[1] || 0) + exponent));
+}
+
+/**
+ * Number with fixed count of digits after decimal point
+ * @class DecimalAttribute
+ * @extends NumberAttribute
+ */
+module.exports = NumberAttribute.inherit(/** @lends DecimalAttribute.prototype */{
+
+    /**
+     * @override {NumberAttribute}
+     */
+    default: null,
+
+    /**
+     * digits after decimal point
+     * @type {Number}
+     */
+    scale: 2,
+
+    /**
+     * round, halfEven, floor, ceil or trunc
+     * @type {String}
+     */
+    rounding: 'round',
+
+    /**
+     * @type {?Number}
+     */
+    min: null,
+
+    /**
+     * @type {?Number}
+     */
+    max: null,
+
+    /**
+     * @override {NumberAttribute}
+     */
+    getValidationError: function () {
+        if (this.value === null) {
+            return;
+        }
+        if (isNaN(this.value)) {
+            return 'value is not a number';
+        }
+        if (this.min !== null && this.value < this.min) {
+            return 'value is less than ' + this.min;
+        }
+        if (this.max !== null && this.value > this.max) {
+            return 'value is greater than ' + this.max;
+        }
+    },
+
+    /**
+     * @override {NumberAttribute}
+     */
+    _toAttributeValue: function (value) {
+        var round = ROUNDING[this.rounding];
+
+        if (!round) {
+            throw new Error('Unknown rounding mode ' + this.rounding);
+        }
+        if (value === null) {
+            return null;
+        }
+        value = this.__base(value);
+        if (!isFinite(value)) {
+            return value;
+        }
+
+        return shift(round(shift(value, this.scale)), -this.scale);
+    }
+});
@@ -0,0 +1,67 @@
+/**
+ * Enum attribute
+ */
+var Attribute = require('../attribute');
+
+/**
+ * Attribute with one of allowed values
+ * @class EnumAttribute
+ * @extends Attribute
+ */
+module.exports = Attribute.inherit(/** @lends EnumAttribute.prototype */{
+
+    /**
+     * allowed values
+     * @abstract
+     * @type {Array}
+     */
+    values: [],
+
+    /**
+     * when true string values are converted to allowed ones regardless of case
+     * @type {Boolean}
+     */
+    ignoreCase: false,
+
+    /**
+     * first of allowed values, redefine with `null` to make attribute empty by default
+     * @returns {*}
+     */
+    default: function () {
+        return this.values.length ? this.values[0] : null;
+    },
+
+    /**
+     * list of allowed values, e.g. for dropdowns
+     * @returns {Array}
+     */
+    getAllowedValues: function () {
+        return this.values.slice();
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    getValidationError: function () {
+        if (this.value !== null && this.values.indexOf(this.value) === -1) {
+            return 'value ' + this.value + ' is not allowed';
+        }
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    _toAttributeValue: function (value) {
+        var lowerValue;
+        if (value === undefined) {
+            return null;
+        }
+        if (this.ignoreCase && typeof value === 'string') {
+            lowerValue = value.toLowerCase();
+            return this.values.filter(function (allowedValue) {
+                return typeof allowedValue === 'string' && allowedValue.toLowerCase() === lowerValue;
+            })[0] || value;
+        }
+        return value;
+    }
+});
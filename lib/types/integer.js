@@ -0,0 +1,16 @@
+/**
+ * Integer attribute
+ */
+var DecimalAttribute = require('./decimal');
+
+/**
+ * @class IntegerAttribute
+ * @extends DecimalAttribute
+ */
+module.exports = DecimalAttribute.inherit(/** @lends IntegerAttribute.prototype */{
+
+    /**
+     * @override {DecimalAttribute}
+     */
+    scale: 0
+});
@@ -2,20 +2,61 @@
  * List attribute
  */
 var Attribute = require('../attribute'),
-    List = require('../list');
+    List = require('../list'),
+    createItemAttribute = require('../item-attribute');
  module.exports = Attribute.inherit({
+    /**
+     * @override {Attribute}
+     */
+    __constructor: function (name, model) {
+        if (this.itemType) {
+            //item type is used to coerce, serialize and validate items
+            this._itemAttribute = createItemAttribute(this.itemType, name, model);
+        }
+        this.__base.apply(this, arguments);
+    },
+
     /**
      * @override {Attribute}
      */
     default: [],
 
+    /**
+     * primitive attribute type of items, items are kept as is if not defined
+     * @type {?Function}
+     */
+    itemType: null,
+
     /**
      * @override {Attribute}
      */
     toJSON: function () {
+        if (this.itemType) {
+            return this.value.map(function (item) {
+                return this._callItemAttribute('toJSON', item);
+            }, this);
+        }
         return this.get().toArray();
     },
 
+    /**
+     * @override {Attribute}
+     * @returns {?Object} errors of items by index
+     */
+    getValidationError: function () {
+        var errors = null;
+        if (this.itemType) {
+            this.value.forEach(function (item, index) {
+                var error = this._callItemAttribute('getValidationError', item);
+                if (error) {
+                    errors = errors || {};
+                    errors[index] = error;
+                }
+            }, this);
+        }
+        return errors;
+    },
+
     /**
      * @override {Attribute}
      */
@@ -23,6 +64,29 @@ var Attribute = require('../attribute'),
         return (new List(this));
     },
 
+    /**
+     * @param {Number} index
+     * @returns {*} item as it is returned by item type
+     */
+    getItem: function (index) {
+        if (this.itemType && index in this.value) {
+            return this._callItemAttribute('get', this.value[index]);
+        }
+        return this.value[index];
+    },
+
+    /**
+     * @returns {Array} copy of items as they are returned by item type
+     */
+    getItems: function () {
+        if (this.itemType) {
+            return this.value.map(function (item) {
+                return this._callItemAttribute('get', item);
+            }, this);
+        }
+        return this.value.slice();
+    },
+
     /**
      * @override {Attribute}
      */
@@ -38,11 +102,27 @@ var Attribute = require('../attribute'),
      * @override {Attribute}
      */
     _toAttributeValue: function (value) {
-        if (value instanceof List) {
-            return value.toArray();
-        } else {
-            return [].concat(value);
-        }
+        var arr = value instanceof List ? value.toArray() : [].concat(value);
+        return this.itemType ? arr.map(this._toItemValue, this) : arr;
+    },
+
+    /**
+     * @param {*} item
+     * @returns {*} item coerced with item type
+     */
+    _toItemValue: function (item) {
+        return this._itemAttribute._toAttributeValue(item);
+    },
+
+    /**
+     * call method of item type over coerced item
+     * @param {String} method
+     * @param {*} item
+     * @returns {*}
+     */
+    _callItemAttribute: function (method, item) {
+        this._itemAttribute.value = item;
+        return this._itemAttribute[method]();
     },
 
     /**
@@ -61,6 +141,23 @@ var Attribute = require('../attribute'),
      * notify that saved array changed
      */
     emitListChange: function () {
-        this._emitChange();
+        var attribute = this;
+        if (attribute.itemType) {
+            attribute.value.forEach(function (item, index) {
+                attribute.value[index] = attribute._toItemValue(item);
+            });
+        }
+        attribute._emitChange();
+    }
+}, {
+    /**
+     * create list attribute with items coerced by primitive attribute type
+     * @param {Function} itemType
+     * @returns {Function}
+     */
+    of: function (itemType) {
+        return this.inherit({
+            itemType: itemType
+        });
     }
 });
@@ -0,0 +1,455 @@
+/**
+ * Map attribute
+ */
+var Attribute = require('../attribute'),
+    RawAttribute = require('./raw'),
+    AttributeMap = require('../map'),
+    Vow = require('vow-with-domain'),
+    uniq = require('../uniq'),
+    createItemAttribute = require('../item-attribute'),
+    MapAttribute, MapAttributeStatic;
+
+/**
+ * @param {Object} object
+ * @param {String} key
+ * @returns {Boolean}
+ */
+function has(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * @param {Object} object
+ * @param {Function} fn gets value and key
+ * @returns {Object} object with same keys and values returned by fn
+ */
+function mapValues(object, fn) {
+    return Object.keys(object).reduce(function (result, key) {
+        result[key] = fn(object[key], key);
+        return result;
+    }, {});
+}
+
+/**
+ * @param {Object} object
+ * @returns {Array}
+ */
+function values(object) {
+    return Object.keys(object).map(function (key) {
+        return object[key];
+    });
+}
+
+/**
+ * Attribute with values keyed by string.
+ * Values are coerced with primitive attribute type or are nested models
+ * @class MapAttribute
+ * @extends Attribute
+ */
+MapAttribute = Attribute.inherit(/** @lends MapAttribute.prototype */{
+
+    /**
+     * @param {String} name
+     * @param {Model} model
+     */
+    __constructor: function (name, model) {
+        if (!this._isModelMap()) {
+            //value type is used to coerce, compare and validate values
+            this._valueAttribute = createItemAttribute(this.valueType, name, model);
+        }
+        this.__base.apply(this, arguments);
+        this.LISTEN_BRANCH = uniq();
+        this._registerEvents();
+    },
+
+    /**
+     * primitive attribute type or model class of values
+     * @type {Function}
+     */
+    valueType: RawAttribute,
+
+    default: {},
+
+    /**
+     * @override {Attribute}
+     */
+    destruct: function () {
+        this._getModels(this.value).forEach(function (model) {
+            model.un('calculate', this._onModelCalculate, this);
+            model.un('destruct', this._onModelDestruct, this);
+            if (model.isOwnedBy(this.model)) {
+                model.destruct();
+            }
+        }, this);
+        return this.__base.apply(this, arguments);
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    get: function () {
+        return (new AttributeMap(this));
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    set: function (value) {
+        this.__base(value);
+        this._registerEvents();
+    },
+
+    /**
+     * @param {String} key
+     * @returns {Boolean}
+     */
+    hasKey: function (key) {
+        return has(this.value, key);
+    },
+
+    /**
+     * @param {String} key
+     * @returns {*}
+     */
+    getKey: function (key) {
+        if (!this.hasKey(key)) {
+            return undefined;
+        }
+        return this._isModelMap() ? this.value[key] : this._callValueAttribute('get', this.value[key]);
+    },
+
+    /**
+     * @param {String} key
+     * @param {*} value
+     */
+    setKey: function (key, value) {
+        value = this._toValue(value);
+        if (!this.hasKey(key) || !this._isValueEqual(this.value[key], value)) {
+            this._changeMap(function (map) {
+                map[key] = value;
+            });
+        }
+    },
+
+    /**
+     * @param {String} key
+     * @returns {Boolean} false if there was no such key
+     */
+    deleteKey: function (key) {
+        if (!this.hasKey(key)) {
+            return false;
+        }
+        this._changeMap(function (map) {
+            delete map[key];
+        });
+        return true;
+    },
+
+    /**
+     * get keys which were added, removed or changed since last commit
+     * @param {String} [branch=DEFAULT_BRANCH]
+     * @returns {Array.<String>}
+     */
+    getChangedKeys: function (branch) {
+        var committed = this._cachBranches[branch || this.DEFAULT_BRANCH] || {},
+            attribute = this;
+
+        return Object.keys(committed).filter(function (key) {
+            return !attribute.hasKey(key);
+        }).concat(Object.keys(this.value).filter(function (key) {
+            return !has(committed, key) ||
+                !attribute._isValueEqual(attribute.value[key], committed[key]) ||
+                (attribute._isModelMap() && attribute.value[key].isChanged(branch));
+        }));
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    ready: function () {
+        return Vow.all(this._getModels(this.value).map(function (model) {
+            return model.ready();
+        }));
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    validate: function () {
+        if (this._isModelMap()) {
+            return Vow.all(this._getModels(this.value).map(function (model) {
+                return model.validate();
+            })).then(function () {
+                return true;
+            });
+        }
+        return this.__base();
+    },
+
+    /**
+     * @override {Attribute}
+     * @returns {?Object} errors by keys
+     */
+    getValidationError: function () {
+        var errors = mapValues(this.value, function (value) {
+                return this._callValueAttribute('getValidationError', value);
+            }.bind(this)),
+            invalidKeys = Object.keys(errors).filter(function (key) {
+                return errors[key];
+            });
+
+        return invalidKeys.length ? invalidKeys.reduce(function (result, key) {
+            result[key] = errors[key];
+            return result;
+        }, {}) : null;
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    toJSON: function () {
+        return mapValues(this.value, this._valueToJSON.bind(this));
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    isEqual: function (value) {
+        var attribute = this,
+            keys;
+
+        if (value instanceof AttributeMap) {
+            return value.isEqual(this.value);
+        }
+        if (value === this.value) {
+            return true;
+        }
+        if (value === null || typeof value !== 'object') {
+            return false;
+        }
+        keys = Object.keys(value);
+        return keys.length === Object.keys(this.value).length && keys.every(function (key) {
+            return attribute.hasKey(key) && attribute._isValueEqual(attribute.value[key], value[key]);
+        });
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    isChanged: function (branch) {
+        return this.__base(branch) || this._getModels(this.value).some(function (model) {
+            return model.isChanged(branch);
+        });
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    commit: function (branch) {
+        var changed = this.__base(branch);
+        this._getModels(this.value).forEach(function (model) {
+            model.commit(branch);
+        });
+        return changed;
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    revert: function (branch) {
+        this.__base(branch);
+        this._registerEvents();
+        this._getModels(this.value).forEach(function (model) {
+            model.revert(branch);
+        });
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    getLastCommitted: function (branch) {
+        var committed = this._cachBranches[branch || this.DEFAULT_BRANCH] || {};
+        return mapValues(committed, function (value) {
+            return this._isModelMap() ? value.getLastCommitted(branch) : this._callValueAttribute('get', value);
+        }.bind(this));
+    },
+
+    /**
+     * @override {Attribute}
+     * @returns {{oldValue: Object, newValue: Object, changes: Object}} changes by key
+     */
+    getChanges: function (branch) {
+        var committed = this._cachBranches[branch || this.DEFAULT_BRANCH] || {},
+            attribute = this;
+
+        return {
+            oldValue: mapValues(committed, function (value) {
+                return attribute._committedValueToJSON(value, branch);
+            }),
+            newValue: this.toJSON(),
+            changes: this.getChangedKeys(branch).reduce(function (changes, key) {
+                var value = attribute.value[key];
+                if (attribute._isModelMap() && attribute.hasKey(key) && value === committed[key]) {
+                    changes[key] = value.getChanges(branch);
+                } else {
+                    changes[key] = {
+                        oldValue: has(committed, key) ? attribute._committedValueToJSON(committed[key], branch) : undefined,
+                        newValue: attribute.hasKey(key) ? attribute._valueToJSON(value) : undefined
+                    };
+                }
+                return changes;
+            }, {})
+        };
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    _toAttributeValue: function (value) {
+        if (value instanceof AttributeMap) {
+            value = value.toObject();
+        }
+        return mapValues(value || {}, this._toValue.bind(this));
+    },
+
+    /**
+     * @param {*} value
+     * @returns {*} value coerced with value type
+     */
+    _toValue: function (value) {
+        if (!this._isModelMap()) {
+            return this._valueAttribute._toAttributeValue(value);
+        }
+        if (value instanceof this.valueType) {
+            return value;
+        }
+        return this.valueType.findInIdentityMap(value) || new this.valueType(value, {
+            owner: this.model
+        });
+    },
+
+    /**
+     * @param {*} value
+     * @param {*} other
+     * @returns {Boolean}
+     */
+    _isValueEqual: function (value, other) {
+        if (this._isModelMap()) {
+            return value === other;
+        }
+        this._valueAttribute.value = value;
+        return this._valueAttribute.isEqual(other);
+    },
+
+    /**
+     * call method of value type over coerced value
+     * @param {String} method
+     * @param {*} value
+     * @returns {*}
+     */
+    _callValueAttribute: function (method, value) {
+        this._valueAttribute.value = value;
+        return this._valueAttribute[method]();
+    },
+
+    /**
+     * @param {*} value
+     * @returns {*}
+     */
+    _valueToJSON: function (value) {
+        return this._isModelMap() ? value.toJSON() : this._callValueAttribute('toJSON', value);
+    },
+
+    /**
+     * @param {*} value committed value
+     * @param {String} [branch=DEFAULT_BRANCH]
+     * @returns {*}
+     */
+    _committedValueToJSON: function (value, branch) {
+        return this._isModelMap() ? value.getLastCommitted(branch) : this._callValueAttribute('toJSON', value);
+    },
+
+    /**
+     * change copy of map, so committed maps stay untouched
+     * @param {Function} fn gets copy of map
+     */
+    _changeMap: function (fn) {
+        var map = mapValues(this.value, function (value) {
+            return value;
+        });
+        fn(map);
+        this.commit(this.PREVIOUS_BRANCH);
+        this.value = map;
+        this._isSet = true;
+        this._registerEvents();
+        this._emitChange();
+    },
+
+    /**
+     * @returns {Boolean}
+     */
+    _isModelMap: function () {
+        return !(this.valueType.prototype instanceof Attribute);
+    },
+
+    /**
+     * @param {Object} map
+     * @returns {Array.<Model>}
+     */
+    _getModels: function (map) {
+        return this._isModelMap() ? values(map) : [];
+    },
+
+    _onModelCalculate: function () {
+        this._emitChange();
+    },
+
+    _onModelDestruct: function () {
+        var map = this.value;
+        this.set(Object.keys(map).reduce(function (result, key) {
+            if (!map[key].isDestructed()) {
+                result[key] = map[key];
+            }
+            return result;
+        }, {}));
+    },
+
+    _registerEvents: function () {
+        var listenModels, models, attribute = this;
+
+        if (!this._isModelMap()) {
+            return;
+        }
+        listenModels = this._getModels(this._cachBranches[this.LISTEN_BRANCH] || {});
+        models = this._getModels(this.value);
+        models.forEach(function (model) {
+            if (listenModels.indexOf(model) === -1) {
+                model.on('calculate', attribute._onModelCalculate, attribute);
+                model.on('destruct', attribute._onModelDestruct, attribute);
+            }
+        });
+        listenModels.forEach(function (model) {
+            if (models.indexOf(model) === -1) {
+                model.un('calculate', attribute._onModelCalculate, attribute);
+                model.un('destruct', attribute._onModelDestruct, attribute);
+            }
+        });
+        this._cachBranches[this.LISTEN_BRANCH] = this.value;
+    }
+});
+
+/**
+ * Static constructor for MapAttribute
+ * @class
+ */
+MapAttributeStatic = function (value) {
+    if (this instanceof MapAttributeStatic) {
+        return new MapAttribute(value);
+    } else {
+        return MapAttribute.inherit({
+            valueType: value
+        });
+    }
+};
+MapAttributeStatic.inherit = MapAttribute.inherit.bind(MapAttribute);
+module.exports = MapAttributeStatic;
@@ -2,6 +2,7 @@
  * Nested model attribute
  */
 var Attribute = require('../attribute'),
+    ModelType = require('../model-type'),
     Vow = require('vow-with-domain'),
     ModelAttribute, ModelAttributeStatic;
 
@@ -57,32 +58,51 @@ ModelAttribute = Attribute.inherit({
      * @override {Attribute}
      */
     isChanged: function (branch) {
-        return this.value.isChanged(branch);
+        var committed = this._cachBranches[branch || this.DEFAULT_BRANCH];
+        return (committed !== undefined && committed !== this.value) || this.value.isChanged(branch);
     },
 
     /**
      * @override {Attribute}
      */
     commit: function (branch) {
-        var changed = this.value.commit(branch);
-        if (changed) {
+        var prev, changed, switched;
+        branch = branch || this.DEFAULT_BRANCH;
+        prev = this._cachBranches[branch];
+        changed = this.value.commit(branch);
+        switched = prev !== undefined && prev !== this.value;
+        this._cachBranches[branch] = this.value;
+        if (switched) {
+            this._destructIfFree(prev);
+        }
+        if (changed || (switched && branch === this.DEFAULT_BRANCH)) {
             this._emitCommit(branch);
         }
-        return changed;
+        return changed || switched;
     },
 
     /**
      * @override {Attribute}
      */
     revert: function (branch) {
-        return this.value.revert(branch);
+        var committed = this._getCommittedModel(branch),
+            prev = this.value;
+        if (committed) {
+            //model was switched, committed instance is restored
+            this.value = committed;
+            committed.revert(branch);
+            this._emitChange();
+            this._destructIfFree(prev);
+        } else {
+            this.value.revert(branch);
+        }
     },
 
     /**
      * @override {Attribute}
      */
     getLastCommitted: function (branch) {
-        return this.value.getLastCommitted(branch);
+        return (this._getCommittedModel(branch) || this.value).getLastCommitted(branch);
     },
 
     /**
@@ -93,11 +113,50 @@ ModelAttribute = Attribute.inherit({
     },
 
     /**
+     * @override {Attribute}
+     * @returns {{oldValue: Object, newValue: Object, changes: Object}} changes contains nested model changes
+     */
+    getChanges: function (branch) {
+        var committed = this._getCommittedModel(branch),
+            oldValue, newValue;
+        if (!committed) {
+            return {
+                oldValue: this.value.getLastCommitted(branch),
+                newValue: this.value.toJSON(),
+                changes: this.value.getChanges(branch)
+            };
+        }
+        oldValue = committed.getLastCommitted(branch);
+        newValue = this.value.toJSON();
+        return {
+            oldValue: oldValue,
+            newValue: newValue,
+            changes: Object.keys(oldValue).concat(Object.keys(newValue)).reduce(function (changes, key) {
+                if (!changes.hasOwnProperty(key) && newValue[key] !== oldValue[key]) {
+                    changes[key] = {
+                        oldValue: oldValue[key],
+                        newValue: newValue[key]
+                    };
+                }
+                return changes;
+            }, {})
+        };
+    },
+
+    /**
+     * model class or polymorphic type `{field: String, types: Object.<String, Model>}`,
+     * where model class is chosen by value of `field`
      * @abstarct
-     * @type {Model}
+     * @type {(Model|Object)}
      */
     modelType: null,
 
+    /**
+     * when true nested persistent models are inserted or updated before owner on save
+     * @type {Boolean}
+     */
+    cascade: false,
+
     /**
      * @override {Attribute}
      */
@@ -118,14 +177,20 @@ ModelAttribute = Attribute.inherit({
      * @param {*} value
      */
     set: function (value) {
+        var model;
         if (value === null) {
             this.unset();
         } else if (!this.isEqual(value)) {
-            if (value instanceof this.modelType) {
-                this._freeModel();
-                this.value = value;
-            } else {
+            model = ModelType.isInstance(this.modelType, value) ? value : ModelType.findInIdentityMap(this.modelType, value);
+            if (!model && ModelType.isSwitched(this.modelType, this.value, value)) {
+                //discriminator chooses other model class,
+                //previous model is kept until commit to be reverted
+                this.value = this._toAttributeValue(value);
+            } else if (!model) {
                 this.value.set(value);
+            } else if (model !== this.value) {
+                this._freeModel();
+                this.value = model;
             }
             this._isSet = true;
             this._emitChange();
@@ -134,6 +199,9 @@ ModelAttribute = Attribute.inherit({
 
     destruct: function () {
         this._freeModel();
+        Object.keys(this._cachBranches).forEach(function (branch) {
+            this._destructIfFree(this._cachBranches[branch]);
+        }, this);
         return this.__base.apply(this, arguments);
     },
 
@@ -141,10 +209,10 @@ ModelAttribute = Attribute.inherit({
      * @override {Attribute}
      */
     _toAttributeValue: function (value) {
-        if (value instanceof this.modelType) {
+        if (ModelType.isInstance(this.modelType, value)) {
             return value;
         } else {
-            return new this.modelType(value, {
+            return ModelType.findInIdentityMap(this.modelType, value) || ModelType.create(this.modelType, value, {
                 owner: this.model
             });
         }
@@ -179,6 +247,32 @@ ModelAttribute = Attribute.inherit({
         this.commit(this.LISTEN_BRANCH);
     },
 
+    /**
+     * @param {String} [branch=DEFAULT_BRANCH]
+     * @returns {?Model} committed model if it was switched to other one
+     */
+    _getCommittedModel: function (branch) {
+        var committed = this._cachBranches[branch || this.DEFAULT_BRANCH];
+        return committed && committed !== this.value && !committed.isDestructed() ? committed : null;
+    },
+
+    /**
+     * destruct own model which is neither current nor committed in any branch
+     * @param {Model} model
+     */
+    _destructIfFree: function (model) {
+        var cached;
+        if (!model || model === this.value || model.isDestructed() || !model.isOwnedBy(this.model)) {
+            return;
+        }
+        cached = Object.keys(this._cachBranches).some(function (branch) {
+            return this._cachBranches[branch] === model;
+        }, this);
+        if (!cached) {
+            model.destruct();
+        }
+    },
+
     _freeModel: function () {
         if (this.value) {
             this.value.un('calculate', this._onModelChange, this);
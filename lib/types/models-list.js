@@ -15,6 +15,7 @@ var Attribute = require('../attribute'), ModelsList, ModelsListStatic,
         });
     },
     Vow = require('vow-with-domain'),
+    ModelType = require('../model-type'),
     uniq = require('../uniq');
 
 /**
@@ -41,8 +42,18 @@ ModelsList = Attribute.inherit({
 
     default: [],
 
+    /**
+     * model class or polymorphic type, see ModelAttribute
+     * @type {(Model|Object)}
+     */
     modelType: null,
 
+    /**
+     * when true nested persistent models are inserted or updated before owner on save
+     * @type {Boolean}
+     */
+    cascade: false,
+
     /**
      * @override {Attribute}
      */
@@ -93,6 +104,21 @@ ModelsList = Attribute.inherit({
         });
     },
 
+    /**
+     * @param {Number} index
+     * @returns {Model}
+     */
+    getItem: function (index) {
+        return this.value[index];
+    },
+
+    /**
+     * @returns {Array.<Model>} copy of models
+     */
+    getItems: function () {
+        return this.value.slice();
+    },
+
     /**
      * @override {Attribute}
      */
@@ -165,6 +191,26 @@ ModelsList = Attribute.inherit({
         });
     },
 
+    /**
+     * @override {Attribute}
+     * @returns {{oldValue: Array, newValue: Array, changes: Object}} changes of nested models by index
+     */
+    getChanges: function (branch) {
+        var committed = this._cachBranches[branch || this.DEFAULT_BRANCH] || [];
+        return {
+            oldValue: committed.map(function (model) {
+                return model.getLastCommitted(branch);
+            }),
+            newValue: this.toJSON(),
+            changes: this.value.reduce(function (changes, model, index) {
+                if (model.isChanged(branch)) {
+                    changes[index] = model.getChanges(branch);
+                }
+                return changes;
+            }, {})
+        };
+    },
+
     /**
      * @override {Attribute}
      */
@@ -172,10 +218,10 @@ ModelsList = Attribute.inherit({
         var arr = [].concat(value),
             attribute = this;
         return arr.map(function (data) {
-            if (data instanceof attribute.modelType) {
+            if (ModelType.isInstance(attribute.modelType, data)) {
                 return data;
             } else {
-                return new attribute.modelType(data, {
+                return ModelType.findInIdentityMap(attribute.modelType, data) || ModelType.create(attribute.modelType, data, {
                     owner: this.model
                 });
             }
@@ -200,8 +246,9 @@ ModelsList = Attribute.inherit({
     emitListChange: function () {
         var attribute = this;
         attribute.value.forEach(function (value, key) {
-            if (!(value instanceof attribute.modelType)) {
-                attribute.value[key] =  new attribute.modelType(value);
+            if (!ModelType.isInstance(attribute.modelType, value)) {
+                attribute.value[key] = ModelType.findInIdentityMap(attribute.modelType, value) ||
+                    ModelType.create(attribute.modelType, value);
             }
         });
         attribute._registerEvents();
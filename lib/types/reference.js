@@ -0,0 +1,117 @@
+/**
+ * Reference attribute
+ */
+var Attribute = require('../attribute'),
+    fulfill = require('../fulfill'),
+    ReferenceAttribute, ReferenceAttributeStatic;
+
+/**
+ * Attribute which keeps id of other model and resolves it lazily
+ * @class ReferenceAttribute
+ * @extends Attribute
+ */
+ReferenceAttribute = Attribute.inherit(/** @lends ReferenceAttribute.prototype */{
+
+    /**
+     * @abstarct
+     * @type {Model}
+     */
+    modelType: null,
+
+    default: null,
+
+    /**
+     * @override {Attribute}
+     */
+    set: function (value) {
+        if (value instanceof this.modelType) {
+            this._resolved = value;
+        }
+        this.__base(value);
+    },
+
+    /**
+     * get referenced model, it is fetched with `modelType.findById` once and cached
+     * @returns {Promise<{?Model}>}
+     */
+    resolve: function () {
+        var attribute = this,
+            id = this.value;
+
+        if (this._isResolved()) {
+            return fulfill(this._resolved);
+        }
+        if (id === null) {
+            return fulfill(null);
+        }
+        if (!this._resolvePromise || this._resolvePromise.id !== id) {
+            this._resolvePromise = this.modelType.findById(id).then(function (model) {
+                //id could be changed while model was fetching
+                if (attribute.value === id) {
+                    attribute._resolved = model;
+                }
+                return model;
+            }).always(function (promise) {
+                if (attribute._resolvePromise && attribute._resolvePromise.id === id) {
+                    delete attribute._resolvePromise;
+                }
+                return promise;
+            });
+            this._resolvePromise.id = id;
+        }
+
+        return this._resolvePromise;
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    destruct: function () {
+        delete this._resolved;
+        delete this._resolvePromise;
+        return this.__base.apply(this, arguments);
+    },
+
+    /**
+     * if cached model is still referenced
+     * @returns {Boolean}
+     */
+    _isResolved: function () {
+        return Boolean(this._resolved) &&
+            !this._resolved.isDestructed() &&
+            this._resolved.getId() === this.value;
+    },
+
+    /**
+     * @override {Attribute}
+     * @param {Model|Object|*} value model, model data or id
+     * @returns {*} id
+     */
+    _toAttributeValue: function (value) {
+        var idName;
+        if (value instanceof this.modelType) {
+            return value.getId();
+        }
+        if (value !== null && typeof value === 'object') {
+            idName = this.modelType._getIdAttributeName();
+            value = idName ? value[idName] : null;
+        }
+        return value === undefined ? null : value;
+    }
+});
+
+/**
+ * Static constructor for ReferenceAttribute
+ * @class
+ */
+ReferenceAttributeStatic = function (value) {
+    if (this instanceof ReferenceAttributeStatic) {
+        return new ReferenceAttribute(value);
+    } else {
+        return ReferenceAttribute.inherit({
+            modelType: value
+        });
+    }
+};
+ReferenceAttributeStatic.inherit = ReferenceAttribute.inherit.bind(ReferenceAttribute);
+module.exports = ReferenceAttributeStatic;
@@ -0,0 +1,145 @@
+/**
+ * Set attribute
+ */
+var Attribute = require('../attribute'),
+    AttributeSet = require('../set');
+
+/**
+ * @param {Array} items
+ * @returns {Array} items without duplicates in order of first occurrence
+ */
+function unique(items) {
+    return items.filter(function (item, index) {
+        return items.indexOf(item) === index;
+    });
+}
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @returns {Number}
+ */
+function compare(a, b) {
+    if (a < b) {
+        return -1;
+    }
+    return a > b ? 1 : 0;
+}
+
+/**
+ * Attribute with unique items, order of items does not matter for changes
+ * @class SetAttribute
+ * @extends Attribute
+ */
+module.exports = Attribute.inherit(/** @lends SetAttribute.prototype */{
+    /**
+     * @override {Attribute}
+     */
+    default: [],
+
+    /**
+     * when true items are serialized in ascending order, otherwise in order of insertion
+     * @type {Boolean}
+     */
+    sorted: false,
+
+    /**
+     * @override {Attribute}
+     */
+    get: function () {
+        return (new AttributeSet(this));
+    },
+
+    /**
+     * @returns {Array} copy of items in order of set
+     */
+    getItems: function () {
+        return this._order(this.value);
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    toJSON: function () {
+        return this.getItems();
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    getLastCommitted: function (branch) {
+        var items = this.__base(branch);
+        return items && this._order(items);
+    },
+
+    /**
+     * @param {*} item
+     */
+    addItem: function (item) {
+        if (this.value.indexOf(item) === -1) {
+            this._changeItems(this.value.concat([item]));
+        }
+    },
+
+    /**
+     * @param {*} item
+     * @returns {Boolean} false if there was no such item
+     */
+    deleteItem: function (item) {
+        if (this.value.indexOf(item) === -1) {
+            return false;
+        }
+        this._changeItems(this.value.filter(function (setItem) {
+            return setItem !== item;
+        }));
+        return true;
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    isEqual: function (value) {
+        var items;
+        if (value instanceof AttributeSet) {
+            return value.isEqual(this.value);
+        }
+        if (value === undefined) {
+            return false;
+        }
+        items = this._toAttributeValue(value);
+        return items.length === this.value.length && items.every(function (item) {
+            return this.value.indexOf(item) !== -1;
+        }, this);
+    },
+
+    /**
+     * @override {Attribute}
+     */
+    _toAttributeValue: function (value) {
+        if (value instanceof AttributeSet) {
+            return value.toArray();
+        } else {
+            return unique([].concat(value));
+        }
+    },
+
+    /**
+     * @param {Array} items
+     * @returns {Array} copy of items in configured order
+     */
+    _order: function (items) {
+        items = items.slice();
+        return this.sorted ? items.sort(compare) : items;
+    },
+
+    /**
+     * set new items, committed arrays stay untouched
+     * @param {Array} items
+     */
+    _changeItems: function (items) {
+        this.commit(this.PREVIOUS_BRANCH);
+        this.value = items;
+        this._isSet = true;
+        this._emitChange();
+    }
+});
@@ -0,0 +1,24 @@
+/**
+ * Version attribute
+ */
+var NumberAttribute = require('./number');
+
+/**
+ * Version of persistent model for optimistic concurrency control.
+ * Storage compares it on update and increases stored version by one
+ * @class {NumberAttribute}
+ */
+module.exports = NumberAttribute.inherit({
+
+    /**
+     * @override {NumberAttribute}
+     */
+    default: 0,
+
+    /**
+     * @override {NumberAttribute}
+     */
+    _toAttributeValue: function (value) {
+        return value === null ? 0 : Number(value);
+    }
+});
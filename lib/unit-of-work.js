@@ -0,0 +1,271 @@
+/**
+ * Unit of work
+ */
+var Inheritable = require('./inheritable'),
+    Vow = require('vow-with-domain'),
+    uniq = require('./uniq'),
+    fulfill = require('./fulfill'),
+    UnitOfWork;
+
+/**
+ * Saves and removes several models together.
+ * Models are committed only if all operations succeed,
+ * otherwise they are reverted to state they had when were added to unit of work
+ * @class UnitOfWork
+ * @extends Inheritable
+ */
+UnitOfWork = Inheritable.inherit(/** @lends UnitOfWork.prototype */{
+
+    __constructor: function () {
+        this.BRANCH = uniq();
+
+        /**
+         * @type {Array.<Model>}
+         */
+        this._saved = [];
+
+        /**
+         * @type {Array.<Model>}
+         */
+        this._removed = [];
+    },
+
+    /**
+     * add model to be inserted or updated
+     * @param {Model} model
+     * @returns {UnitOfWork}
+     */
+    save: function (model) {
+        return this._add(this._saved, model);
+    },
+
+    /**
+     * add model to be removed
+     * @param {Model} model
+     * @returns {UnitOfWork}
+     */
+    remove: function (model) {
+        return this._add(this._removed, model);
+    },
+
+    /**
+     * run all inserts, then all updates, then all removes.
+     * Operations of one type are grouped by storage class, group is passed to `batch` method if storage has it
+     * @returns {Promise}
+     */
+    commit: function () {
+        var unitOfWork = this,
+            models = this._saved.concat(this._removed);
+
+        return Vow.all(models.map(function (model) {
+            return model._rejectDestructed();
+        })).then(function () {
+            return unitOfWork._triggerHooks('beforeSave', 'beforeRemove');
+        }).then(function () {
+            return Vow.all(models.map(function (model) {
+                return model.ready();
+            }));
+        }).then(function () {
+            return unitOfWork._groupByStorage(unitOfWork._getOperations()).reduce(function (promise, group) {
+                return promise.then(function () {
+                    return unitOfWork._runGroup(group);
+                });
+            }, fulfill());
+        }).then(function () {
+            unitOfWork._saved.forEach(function (model) {
+                model.commit();
+                model.calculate();
+            });
+            return Vow.all(unitOfWork._saved.map(function (model) {
+                return model.ready();
+            }));
+        }).then(function () {
+            return unitOfWork._triggerHooks('afterSave', 'afterRemove');
+        }).then(function () {
+            unitOfWork._removed.forEach(function (model) {
+                model.destruct();
+            });
+        }, function (err) {
+            unitOfWork.rollback();
+            return Vow.reject(err);
+        });
+    },
+
+    /**
+     * revert models to state they had when were added to unit of work
+     */
+    rollback: function () {
+        this._saved.concat(this._removed).forEach(function (model) {
+            //id could be changed by insert
+            model._unregisterIdentity();
+            model.revert(this.BRANCH);
+            model._registerIdentity();
+        }, this);
+    },
+
+    /**
+     * @param {Array.<Model>} list
+     * @param {Model} model
+     * @returns {UnitOfWork}
+     */
+    _add: function (list, model) {
+        if (list.indexOf(model) === -1) {
+            model.commit(this.BRANCH);
+            list.push(model);
+        }
+        return this;
+    },
+
+    /**
+     * @returns {Array.<{type: String, model: Model}>}
+     */
+    _getOperations: function () {
+        var toOperation = function (type) {
+                return function (model) {
+                    return {
+                        type: type,
+                        model: model
+                    };
+                };
+            };
+
+        return [].concat(
+            this._saved.filter(function (model) {
+                return model.isNew();
+            }).map(toOperation('insert')),
+            this._saved.filter(function (model) {
+                return !model.isNew();
+            }).map(toOperation('update')),
+            this._removed.filter(function (model) {
+                return !model.isNew();
+            }).map(toOperation('remove'))
+        );
+    },
+
+    /**
+     * group operations of each type by storage class,
+     * neighbour groups of one storage class are joined, so inserts and updates of it can be run in one batch
+     * @param {Array.<{type: String, model: Model}>} operations
+     * @returns {Array.<{StorageClass: ?Function, storage: ?Storage, operations: Array}>} groups in order of run
+     */
+    _groupByStorage: function (operations) {
+        var groups = [];
+
+        ['insert', 'update', 'remove'].forEach(function (type) {
+            var typeGroups = [];
+
+            operations.forEach(function (operation) {
+                var storage = operation.model.storage,
+                    StorageClass = storage && storage.__self,
+                    group;
+
+                if (operation.type !== type) {
+                    return;
+                }
+                group = typeGroups.filter(function (item) {
+                    return item.StorageClass === StorageClass;
+                })[0];
+                if (!group) {
+                    group = {
+                        StorageClass: StorageClass,
+                        storage: storage,
+                        operations: []
+                    };
+                    typeGroups.push(group);
+                }
+                group.operations.push(operation);
+            });
+
+            typeGroups.forEach(function (group) {
+                var last = groups[groups.length - 1];
+                if (last && last.StorageClass === group.StorageClass) {
+                    last.operations = last.operations.concat(group.operations);
+                } else {
+                    groups.push(group);
+                }
+            });
+        });
+
+        return groups;
+    },
+
+    /**
+     * run operations of one storage class in batch if storage supports it, otherwise one by one
+     * @param {{storage: ?Storage, operations: Array.<{type: String, model: Model}>}} group
+     * @returns {Promise}
+     */
+    _runGroup: function (group) {
+        var unitOfWork = this,
+            storage = group.storage,
+            operations = group.operations;
+
+        if (storage && storage.batch) {
+            return fulfill().then(function () {
+                return storage.batch(operations);
+            }).then(function (results) {
+                operations.forEach(function (operation, index) {
+                    unitOfWork._applyResult(operation, results && results[index]);
+                });
+            });
+        }
+        return operations.reduce(function (promise, operation) {
+            return promise.then(function () {
+                return unitOfWork._runOperation(operation);
+            });
+        }, fulfill());
+    },
+
+    /**
+     * @param {{type: String, model: Model}} operation
+     * @returns {Promise}
+     */
+    _runOperation: function (operation) {
+        var model = operation.model;
+
+        switch (operation.type) {
+            case 'insert':
+                return model._callStorage('insert', model).then(function (id) {
+                    model.idAttribute.set(id);
+                    model._registerIdentity();
+                });
+            case 'update':
+                return model._update();
+            case 'remove':
+                return model._callStorage('remove', model);
+        }
+    },
+
+    /**
+     * apply result of batch operation
+     * @param {{type: String, model: Model}} operation
+     * @param {*} result
+     */
+    _applyResult: function (operation, result) {
+        var model = operation.model;
+
+        if (operation.type === 'insert') {
+            model.idAttribute.set(result);
+            model._registerIdentity();
+        } else if (operation.type === 'update' && model.versionAttribute) {
+            model.versionAttribute.set(model.getVersion() + 1);
+        }
+    },
+
+    /**
+     * @param {String} saveEvent
+     * @param {String} removeEvent
+     * @returns {Promise}
+     */
+    _triggerHooks: function (saveEvent, removeEvent) {
+        return Vow.all([].concat(
+            this._saved.map(function (model) {
+                return model.triggerAsync(saveEvent);
+            }),
+            this._removed.map(function (model) {
+                return model.triggerAsync(removeEvent);
+            })
+        ));
+    }
+});
+
+module.exports = UnitOfWork;
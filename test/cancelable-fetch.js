@@ -0,0 +1,121 @@
+var expect = require('chai').expect;
+
+describe('Cancelable fetch', function () {
+    var Model = require('../lib/model'),
+        Vow = require('vow'),
+        finds, findCalled, ModelClass;
+
+    /**
+     * @returns {Promise} fulfilled when storage find is called
+     */
+    function waitFind() {
+        findCalled = Vow.defer();
+        return findCalled.promise();
+    }
+
+    beforeEach(function () {
+        finds = [];
+        findCalled = null;
+        ModelClass = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String
+            },
+            storage: Model.Storage.inherit({
+                find: function (model, options) {
+                    var defer = Vow.defer();
+                    finds.push({
+                        id: model.getId(),
+                        signal: options.signal,
+                        defer: defer
+                    });
+                    if (findCalled) {
+                        findCalled.resolve();
+                    }
+                    return defer.promise();
+                }
+            })
+        });
+    });
+
+    it('should pass abort signal to storage', function () {
+        var model = new ModelClass({id: 1}),
+            called = waitFind(),
+            promise = model.fetch();
+        return called.then(function () {
+            expect(finds).to.have.length(1);
+            expect(finds[0].signal.aborted).to.be.equal(false);
+            promise.abort();
+            expect(finds[0].signal.aborted).to.be.equal(true);
+            return promise;
+        }).then(function () {
+            throw new Error('should be aborted');
+        }, function (err) {
+            expect(err).to.be.instanceOf(Model.AbortError);
+            expect(model.isFetching()).to.be.equal(false);
+        });
+    });
+
+    it('should apply only latest fetch', function () {
+        var model = new ModelClass({id: 1}),
+            called = waitFind(),
+            first = model.fetch(),
+            second;
+
+        return called.then(function () {
+            model.set('id', 2);
+            called = waitFind();
+            second = model.fetch();
+            return first.fail(function (err) {
+                expect(err).to.be.instanceOf(Model.AbortError);
+                //stale response comes after abort
+                finds[0].defer.resolve({id: 1, a: 'stale'});
+                return called;
+            });
+        }).then(function () {
+            expect(finds).to.have.length(2);
+            expect(finds[1].id).to.be.equal(2);
+            finds[1].defer.resolve({id: 2, a: 'fresh'});
+            return second;
+        }).then(function () {
+            expect(model.get('a')).to.be.equal('fresh');
+            expect(model.isChanged()).to.be.equal(false);
+        });
+    });
+
+    it('should trigger fetch:aborted', function () {
+        var model = new ModelClass({id: 1}),
+            aborted = 0,
+            promise;
+
+        model.on('fetch:aborted', function () {
+            aborted++;
+        });
+        promise = model.fetch();
+        promise.abort();
+        promise.abort();
+        return promise.fail(function () {
+            expect(aborted).to.be.equal(1);
+        });
+    });
+
+    it('should not abort finished fetch', function () {
+        var model = new ModelClass({id: 1}),
+            called = waitFind(),
+            aborted = false,
+            promise;
+
+        model.on('fetch:aborted', function () {
+            aborted = true;
+        });
+        promise = model.fetch();
+        return called.then(function () {
+            finds[0].defer.resolve({id: 1, a: 'a-1'});
+            return promise;
+        }).then(function () {
+            promise.abort();
+            expect(aborted).to.be.equal(false);
+            expect(model.get('a')).to.be.equal('a-1');
+        });
+    });
+});
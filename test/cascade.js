@@ -0,0 +1,110 @@
+var expect = require('chai').expect;
+
+describe('Cascade save', function () {
+    var Model = require('../lib/model'),
+        calls, Child, Parent;
+
+    beforeEach(function () {
+        calls = [];
+        Child = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String
+            },
+            storage: Model.Storage.Memory.inherit({
+                insert: function (model) {
+                    calls.push('insert child ' + model.get('a'));
+                    return this.__base.apply(this, arguments);
+                },
+                update: function (model) {
+                    calls.push('update child ' + model.get('a'));
+                    return this.__base.apply(this, arguments);
+                }
+            })
+        });
+        Parent = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                child: Model.attributeTypes.Model(Child).inherit({
+                    cascade: true
+                }),
+                children: Model.attributeTypes.ModelsList(Child).inherit({
+                    cascade: true
+                }),
+                other: Model.attributeTypes.Model(Child)
+            },
+            storage: Model.Storage.Memory.inherit({
+                insert: function () {
+                    calls.push('insert parent');
+                    return this.__base.apply(this, arguments);
+                },
+                update: function () {
+                    calls.push('update parent');
+                    return this.__base.apply(this, arguments);
+                }
+            })
+        });
+    });
+
+    it('should insert new nested models before owner', function () {
+        var parent = new Parent({
+            child: {a: 'a-1'},
+            children: [{a: 'a-2'}],
+            other: {a: 'a-3'}
+        });
+        return parent.save().then(function () {
+            expect(calls).to.be.deep.equal(['insert child a-1', 'insert child a-2', 'insert parent']);
+            expect(Parent.storage.dump()[0].child).to.be.deep.equal({id: 1, a: 'a-1'});
+            expect(Parent.storage.dump()[0].children).to.be.deep.equal([{id: 2, a: 'a-2'}]);
+            expect(parent.get('other').isNew()).to.be.equal(true);
+        });
+    });
+
+    it('should update only changed nested models', function () {
+        var parent = new Parent({
+            child: {a: 'a-1'},
+            children: [{a: 'a-2'}, {a: 'a-3'}]
+        });
+        return parent.save().then(function () {
+            calls = [];
+            parent.get('children').get(1).set('a', 'a-4');
+            return parent.save();
+        }).then(function () {
+            expect(calls).to.be.deep.equal(['update child a-4', 'update parent']);
+        });
+    });
+
+    it('should commit owner and nested models together', function () {
+        var parent = new Parent({
+                child: {a: 'a-1'}
+            }),
+            savedEvents = [];
+        parent.get('child').on('afterSave', function () {
+            savedEvents.push('child');
+        });
+        parent.on('afterSave', function () {
+            savedEvents.push('parent');
+        });
+        return parent.save().then(function () {
+            expect(parent.isChanged()).to.be.equal(false);
+            expect(parent.get('child').isChanged()).to.be.equal(false);
+            expect(savedEvents).to.be.deep.equal(['child', 'parent']);
+        });
+    });
+
+    it('should not commit nested models if owner fails', function () {
+        var parent = new Parent({
+            child: {a: 'a-1'}
+        });
+        parent.storage.insert = function () {
+            throw new Error('fail');
+        };
+        return parent.save().then(function () {
+            throw new Error('should fail');
+        }, function (err) {
+            expect(err.message).to.be.equal('fail');
+            expect(parent.get('child').isNew()).to.be.equal(false);
+            expect(parent.get('child').isChanged()).to.be.equal(true);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+var expect = require('chai').expect;
+
+describe('Changes', function () {
+    var Model = require('../lib/model'),
+        Collection = require('../lib/collection'),
+        Nested = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String
+            }
+        }),
+        ModelClass = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String,
+                b: Model.attributeTypes.String,
+                internal: Model.attributeTypes.String.inherit({
+                    internal: true
+                }),
+                nested: Model.attributeTypes.Model(Nested),
+                list: Model.attributeTypes.ModelsList(Nested),
+                collection: Model.attributeTypes.Collection.inherit({
+                    collectionType: Collection.inherit({
+                        modelType: Nested
+                    })
+                })
+            },
+            storage: Model.Storage.Memory.inherit({
+                partialUpdate: true
+            })
+        }),
+        model;
+
+    beforeEach(function () {
+        model = new ModelClass({
+            a: 'a-0',
+            b: 'b-0',
+            nested: {a: 'a-0'},
+            list: [{a: 'a-0'}, {a: 'a-1'}],
+            collection: [{a: 'a-0'}]
+        });
+    });
+
+    describe('getChanges', function () {
+        it('should be empty for not changed model', function () {
+            expect(model.getChanges()).to.be.deep.equal({});
+        });
+
+        it('should return old and new values of changed attributes', function () {
+            model.set('a', 'a-1');
+            model.set('internal', 'changed');
+            expect(model.getChanges()).to.be.deep.equal({
+                a: {oldValue: 'a-0', newValue: 'a-1'}
+            });
+        });
+
+        it('should respect branch', function () {
+            model.commit('branch');
+            model.set('a', 'a-1');
+            model.commit();
+            expect(model.getChanges()).to.be.deep.equal({});
+            expect(model.getChanges('branch')).to.have.keys(['a']);
+        });
+
+        it('should describe nested model changes', function () {
+            model.get('nested').set('a', 'a-1');
+            expect(model.getChanges()).to.be.deep.equal({
+                nested: {
+                    oldValue: {id: null, a: 'a-0'},
+                    newValue: {id: null, a: 'a-1'},
+                    changes: {
+                        a: {oldValue: 'a-0', newValue: 'a-1'}
+                    }
+                }
+            });
+        });
+
+        it('should describe models list changes', function () {
+            model.get('list').get(1).set('a', 'a-2');
+            expect(model.getChanges().list.changes).to.be.deep.equal({
+                1: {
+                    a: {oldValue: 'a-1', newValue: 'a-2'}
+                }
+            });
+        });
+
+        it('should describe collection changes', function () {
+            model.get('collection').at(0).set('a', 'a-1');
+            expect(model.getChanges().collection).to.be.deep.equal({
+                oldValue: [{id: null, a: 'a-0'}],
+                newValue: [{id: null, a: 'a-1'}],
+                changes: {
+                    0: {
+                        a: {oldValue: 'a-0', newValue: 'a-1'}
+                    }
+                }
+            });
+        });
+    });
+
+    describe('partial update', function () {
+        it('should pass only changed data to storage', function () {
+            var updateData;
+            return model.save().then(function () {
+                var update = model.storage.update;
+                model.storage.update = function (model, data) {
+                    updateData = data;
+                    return update.apply(this, arguments);
+                };
+                model.set('a', 'a-1');
+                return model.save();
+            }).then(function () {
+                expect(updateData).to.be.deep.equal({a: 'a-1'});
+                expect(ModelClass.storage.dump()[0]).to.have.property('a', 'a-1');
+                expect(ModelClass.storage.dump()[0]).to.have.property('b', 'b-0');
+            });
+        });
+    });
+});
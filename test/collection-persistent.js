@@ -0,0 +1,150 @@
+var expect = require('chai').expect;
+
+describe('Collection persistent', function () {
+    var Model = require('../lib/model'),
+        Collection = require('../lib/collection'),
+        Vow = require('vow'),
+        records, calls, TestModel, TestCollection;
+
+    TestModel = Model.inherit({
+        attributes: {
+            id: Model.attributeTypes.Id,
+            a: Model.attributeTypes.String
+        }
+    });
+
+    TestCollection = Collection.inherit({
+        modelType: TestModel,
+        storage: Collection.Storage.inherit({
+            findAll: function (collection, query) {
+                calls.push(['findAll', query]);
+                return Vow.fulfill().delay(0).then(function () {
+                    return Object.keys(records).map(function (id) {
+                        return records[id];
+                    });
+                });
+            },
+            insertMany: function (collection, models) {
+                calls.push(['insertMany', models.length]);
+                return Vow.fulfill().delay(0).then(function () {
+                    return models.map(function (model) {
+                        var id = Object.keys(records).length + 1;
+                        records[id] = model.toJSON();
+                        records[id].id = id;
+                        return id;
+                    });
+                });
+            },
+            updateMany: function (collection, models) {
+                calls.push(['updateMany', models.length]);
+                return Vow.fulfill().delay(0).then(function () {
+                    models.forEach(function (model) {
+                        records[model.getId()] = model.toJSON();
+                    });
+                });
+            },
+            removeMany: function (collection, models) {
+                calls.push(['removeMany', models.length]);
+                return Vow.fulfill().delay(0).then(function () {
+                    models.forEach(function (model) {
+                        delete records[model.getId()];
+                    });
+                });
+            }
+        })
+    });
+
+    beforeEach(function () {
+        calls = [];
+        records = {
+            1: {id: 1, a: 'a-1'},
+            2: {id: 2, a: 'a-2'}
+        };
+    });
+
+    describe('fetch', function () {
+        it('should set models from storage and commit', function () {
+            var collection = new TestCollection();
+            return collection.fetch({a: 'a'}).then(function () {
+                expect(calls).to.be.deep.equal([['findAll', {a: 'a'}]]);
+                expect(collection.toJSON()).to.be.deep.equal([
+                    {id: 1, a: 'a-1'},
+                    {id: 2, a: 'a-2'}
+                ]);
+                expect(collection.isChanged()).to.be.equal(false);
+            });
+        });
+    });
+
+    describe('save', function () {
+        it('should insert new and update changed models', function () {
+            var collection = new TestCollection();
+            return collection.fetch().then(function () {
+                collection.at(0).set('a', 'a-1-changed');
+                collection.add({a: 'a-3'});
+                return collection.save();
+            }).then(function () {
+                expect(calls.slice(1)).to.be.deep.equal([['insertMany', 1], ['updateMany', 1]]);
+                expect(collection.at(2).getId()).to.be.equal(3);
+                expect(collection.get(3)).to.be.equal(collection.at(2));
+                expect(records[1].a).to.be.equal('a-1-changed');
+                expect(collection.isChanged()).to.be.equal(false);
+            });
+        });
+
+        it('should remove models removed from collection', function () {
+            var collection = new TestCollection();
+            return collection.fetch().then(function () {
+                collection.remove(collection.at(0));
+                return collection.save();
+            }).then(function () {
+                expect(calls.slice(1)).to.be.deep.equal([['removeMany', 1]]);
+                expect(records).to.not.have.property(1);
+                expect(collection.isChanged()).to.be.equal(false);
+            });
+        });
+
+        it('should not commit on storage fail', function () {
+            var collection = new TestCollection();
+            return collection.fetch().then(function () {
+                collection.storage.updateMany = function () {
+                    return Vow.reject(new Error('fail'));
+                };
+                collection.at(0).set('a', 'a-1-changed');
+                return collection.save();
+            }).then(function () {
+                throw new Error('should not be saved');
+            }, function (err) {
+                expect(err.message).to.be.equal('fail');
+                expect(collection.isChanged()).to.be.equal(true);
+            });
+        });
+    });
+
+    describe('destroyRemoved', function () {
+        it('should remove only removed models', function () {
+            var collection = new TestCollection(),
+                removed;
+            return collection.fetch().then(function () {
+                removed = collection.at(1);
+                collection.at(0).set('a', 'a-1-changed');
+                collection.remove(removed);
+                return collection.destroyRemoved();
+            }).then(function () {
+                expect(calls.slice(1)).to.be.deep.equal([['removeMany', 1]]);
+                expect(removed.isDestructed()).to.be.equal(true);
+                expect(records[1].a).to.be.equal('a-1');
+                expect(collection.isChanged()).to.be.equal(true);
+                collection.at(0).revert();
+                expect(collection.isChanged()).to.be.equal(false);
+            });
+        });
+    });
+
+    it('should throw without storage', function () {
+        var collection = new Collection([], {modelType: TestModel});
+        expect(function () {
+            collection.fetch();
+        }).to.throw(Error);
+    });
+});
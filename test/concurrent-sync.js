@@ -0,0 +1,84 @@
+var expect = require('chai').expect;
+
+describe('Concurrent sync', function () {
+    var Model = require('../lib/model'),
+        Vow = require('vow'),
+        calls, onStorageCall, ModelClass;
+
+    beforeEach(function () {
+        calls = [];
+        onStorageCall = null;
+        ModelClass = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String
+            },
+            storage: Model.Storage.Memory.inherit({
+                insert: function (model) {
+                    calls.push('insert ' + model.get('a'));
+                    if (onStorageCall) {
+                        onStorageCall(model);
+                    }
+                    return this.__base.apply(this, arguments);
+                },
+                update: function (model) {
+                    calls.push('update ' + model.get('a'));
+                    if (onStorageCall) {
+                        onStorageCall(model);
+                    }
+                    return this.__base.apply(this, arguments);
+                },
+                find: function () {
+                    calls.push('find');
+                    return this.__base.apply(this, arguments);
+                },
+                remove: function () {
+                    calls.push('remove');
+                    return this.__base.apply(this, arguments);
+                }
+            })
+        });
+    });
+
+    it('should insert new model once', function () {
+        var model = new ModelClass({a: 'a-1'});
+        return Vow.all([model.save(), model.save()]).then(function () {
+            expect(calls).to.be.deep.equal(['insert a-1']);
+            expect(ModelClass.storage.dump()).to.have.length(1);
+        });
+    });
+
+    it('should update model changed while it was saving', function () {
+        var model = new ModelClass({a: 'a-1'});
+        onStorageCall = function () {
+            onStorageCall = null;
+            model.set('a', 'a-2');
+        };
+        return Vow.all([model.save(), model.save()]).then(function () {
+            expect(calls).to.be.deep.equal(['insert a-1', 'update a-2']);
+            expect(ModelClass.storage.dump()).to.be.deep.equal([{id: 1, a: 'a-2'}]);
+        });
+    });
+
+    it('should run next save after failed one', function () {
+        var model = new ModelClass({id: 1, a: 'a-1'});
+        model.set('a', 'a-2');
+        onStorageCall = function () {
+            onStorageCall = null;
+            model.set('a', 'a-3');
+        };
+        return Vow.allResolved([model.save(), model.save()]).then(function (promises) {
+            expect(promises[0].isRejected()).to.be.equal(true);
+            expect(promises[1].isRejected()).to.be.equal(true);
+            expect(calls).to.be.deep.equal(['update a-2', 'update a-3']);
+        });
+    });
+
+    it('should wait pending save before fetch and remove', function () {
+        var model = new ModelClass({a: 'a-1'});
+        return Vow.all([model.save(), model.fetch(), model.remove()]).then(function () {
+            expect(calls).to.be.deep.equal(['insert a-1', 'find', 'remove']);
+            expect(model.isDestructed()).to.be.equal(true);
+        });
+    });
+});
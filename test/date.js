@@ -0,0 +1,90 @@
+var expect = require('chai').expect;
+
+describe('Date attribute', function () {
+    var Model = require('../lib/model'),
+        Attribute = require('../lib/attribute'),
+        ModelClass = Model.inherit({
+            attributes: {
+                date: Model.attributeTypes.Date,
+                bounded: Model.attributeTypes.Date.inherit({
+                    min: '2015-01-01T00:00:00.000Z',
+                    max: new Date(Date.UTC(2016, 0, 1))
+                })
+            }
+        }),
+        ISO = '2015-06-15T10:20:30.000Z',
+        TIME = Date.parse(ISO);
+
+    it('should be null by default', function () {
+        var model = new ModelClass();
+        expect(model.get('date')).to.be.equal(null);
+        expect(model.toJSON().date).to.be.equal(null);
+    });
+
+    it('should accept date, ISO string and epoch number', function () {
+        var model = new ModelClass({date: new Date(TIME)});
+        expect(model.get('date')).to.be.instanceOf(Date);
+        expect(model.get('date').getTime()).to.be.equal(TIME);
+        model.set('date', ISO);
+        expect(model.get('date').getTime()).to.be.equal(TIME);
+        model.set('date', TIME);
+        expect(model.get('date').getTime()).to.be.equal(TIME);
+    });
+
+    it('should serialize to ISO string', function () {
+        var model = new ModelClass({date: TIME});
+        expect(model.toJSON().date).to.be.equal(ISO);
+    });
+
+    it('should not be changed by reference', function () {
+        var date = new Date(TIME),
+            model = new ModelClass({date: date});
+        date.setFullYear(2000);
+        model.get('date').setFullYear(2000);
+        expect(model.get('date').getTime()).to.be.equal(TIME);
+    });
+
+    it('should compare dates by time value', function () {
+        var model = new ModelClass({date: ISO});
+        model.set('date', new Date(TIME));
+        expect(model.isChanged()).to.be.equal(false);
+        model.set('date', TIME + 1);
+        expect(model.isChanged()).to.be.equal(true);
+        expect(model.getChanges()).to.be.deep.equal({
+            date: {
+                oldValue: ISO,
+                newValue: '2015-06-15T10:20:30.001Z'
+            }
+        });
+        model.revert();
+        expect(model.get('date').getTime()).to.be.equal(TIME);
+    });
+
+    it('should not be valid for invalid date', function () {
+        var model = new ModelClass({date: 'not a date'});
+        expect(model.toJSON().date).to.be.equal(null);
+        return model.validate().then(function () {
+            throw new Error('should not be valid');
+        }, function (err) {
+            expect(err.attributes[0]).to.be.instanceOf(Attribute.ValidationError);
+            expect(err.attributes[0].message).to.be.equal('invalid date');
+        });
+    });
+
+    it('should validate bounds', function () {
+        var model = new ModelClass({bounded: '2014-12-31T00:00:00.000Z'});
+        return model.validate().then(function () {
+            throw new Error('should not be valid');
+        }, function (err) {
+            expect(err.attributes[0].attribute.name).to.be.equal('bounded');
+            model.set('bounded', '2017-01-01T00:00:00.000Z');
+            return model.validate();
+        }).then(function () {
+            throw new Error('should not be valid');
+        }, function (err) {
+            expect(err.attributes[0].message).to.be.equal('date is after 2016-01-01T00:00:00.000Z');
+            model.set('bounded', ISO);
+            return model.validate();
+        });
+    });
+});
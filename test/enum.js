@@ -0,0 +1,60 @@
+var expect = require('chai').expect;
+
+describe('Enum attribute', function () {
+    var Model = require('../lib/model'),
+        ModelClass = Model.inherit({
+            attributes: {
+                status: Model.attributeTypes.Enum.inherit({
+                    values: ['draft', 'published']
+                }),
+                color: Model.attributeTypes.Enum.inherit({
+                    values: ['red', 'green'],
+                    ignoreCase: true,
+                    default: null
+                })
+            }
+        });
+
+    it('should have first value by default', function () {
+        var model = new ModelClass();
+        expect(model.get('status')).to.be.equal('draft');
+        model.set('status', 'published');
+        model.unset('status');
+        expect(model.get('status')).to.be.equal('draft');
+    });
+
+    it('should be null by default if default is redefined', function () {
+        var model = new ModelClass();
+        expect(model.get('color')).to.be.equal(null);
+        return model.validate();
+    });
+
+    it('should not be valid for not allowed value', function () {
+        var model = new ModelClass({status: 'removed'});
+        expect(model.get('status')).to.be.equal('removed');
+        return model.validate().then(function () {
+            throw new Error('should not be valid');
+        }, function (err) {
+            expect(err.attributes).to.have.length(1);
+            expect(err.attributes[0].attribute.name).to.be.equal('status');
+            expect(err.attributes[0].message).to.be.equal('value removed is not allowed');
+        });
+    });
+
+    it('should coerce case', function () {
+        var model = new ModelClass({color: 'RED', status: 'Draft'});
+        expect(model.get('color')).to.be.equal('red');
+        expect(model.get('status')).to.be.equal('Draft');
+        model.commit();
+        model.set('color', 'Red');
+        expect(model.isChanged()).to.be.equal(false);
+    });
+
+    it('should expose allowed values', function () {
+        var model = new ModelClass(),
+            values = model.attributes.status.getAllowedValues();
+        expect(values).to.be.deep.equal(['draft', 'published']);
+        values.push('other');
+        expect(model.attributes.status.getAllowedValues()).to.have.length(2);
+    });
+});
@@ -0,0 +1,102 @@
+var expect = require('chai').expect,
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+describe('File storage', function () {
+    var Model = require('../lib/model'),
+        Vow = require('vow'),
+        directory = path.join(os.tmpdir(), 'promised-models-' + process.pid),
+        filePath = path.join(directory, 'models.json'),
+        ModelClass = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String
+            },
+            storage: Model.Storage.File.inherit({
+                directory: directory,
+                name: 'models'
+            })
+        });
+
+    afterEach(function () {
+        fs.readdirSync(directory).forEach(function (file) {
+            fs.unlinkSync(path.join(directory, file));
+        });
+        fs.rmdirSync(directory);
+    });
+
+    it('should insert, update and find models', function () {
+        var model = new ModelClass({a: 'a-1'});
+        return model.save().then(function () {
+            expect(model.getId()).to.be.equal(1);
+            model.set('a', 'a-2');
+            return model.save();
+        }).then(function () {
+            var model2 = new ModelClass({id: 1});
+            return model2.fetch().then(function () {
+                expect(model2.get('a')).to.be.equal('a-2');
+            });
+        });
+    });
+
+    it('should write JSON file without temporary files', function () {
+        var model = new ModelClass({a: 'a-1'});
+        return model.save().then(function () {
+            expect(fs.readdirSync(directory)).to.be.deep.equal(['models.json']);
+            expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).to.be.deep.equal({
+                lastId: 1,
+                records: {
+                    1: {id: 1, a: 'a-1'}
+                }
+            });
+        });
+    });
+
+    it('should serialize concurrent writes', function () {
+        var models = [1, 2, 3, 4, 5].map(function (i) {
+            return new ModelClass({a: 'a-' + i});
+        });
+        return Vow.all(models.map(function (model) {
+            return model.save();
+        })).then(function () {
+            var records = JSON.parse(fs.readFileSync(filePath, 'utf8')).records;
+            expect(models.map(function (model) {
+                return model.getId();
+            }).sort()).to.be.deep.equal([1, 2, 3, 4, 5]);
+            expect(Object.keys(records)).to.have.length(5);
+        });
+    });
+
+    it('should remove model and reject with NotFoundError', function () {
+        var model = new ModelClass(),
+            id;
+        return model.save().then(function () {
+            id = model.getId();
+            return model.remove();
+        }).then(function () {
+            return new ModelClass({id: id}).fetch();
+        }).then(function () {
+            throw new Error('should not be found');
+        }, function (err) {
+            expect(err).to.be.instanceOf(Model.Storage.NotFoundError);
+        });
+    });
+
+    it('should write restored model to file', function () {
+        var SoftModelClass = ModelClass.inherit({
+                softRemove: true
+            }),
+            model = new SoftModelClass({a: 'a-1'});
+        return model.save().then(function () {
+            return model.remove();
+        }).then(function () {
+            return model.restore();
+        }).then(function () {
+            var model2 = new SoftModelClass({id: model.getId()});
+            return model2.fetch().then(function () {
+                expect(model2.get('a')).to.be.equal('a-1');
+            });
+        });
+    });
+});
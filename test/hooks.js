@@ -0,0 +1,147 @@
+var expect = require('chai').expect;
+
+describe('Lifecycle hooks', function () {
+    var Model = require('../lib/model'),
+        Vow = require('vow'),
+        ModelClass, calls;
+
+    beforeEach(function () {
+        calls = [];
+        ModelClass = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String,
+                updatedBy: Model.attributeTypes.String
+            },
+            storage: Model.Storage.Memory.inherit({
+                insert: function () {
+                    calls.push('insert');
+                    return this.__base.apply(this, arguments);
+                },
+                find: function () {
+                    calls.push('find');
+                    return this.__base.apply(this, arguments);
+                },
+                remove: function () {
+                    calls.push('remove');
+                    return this.__base.apply(this, arguments);
+                }
+            })
+        });
+    });
+
+    it('should call save hooks around storage', function () {
+        var model = new ModelClass();
+        model.on('beforeSave', function (m) {
+            expect(m).to.be.equal(model);
+            calls.push('beforeSave');
+            return Vow.fulfill().delay(0).then(function () {
+                model.set('updatedBy', 'user');
+            });
+        });
+        model.on('afterSave', function () {
+            calls.push('afterSave');
+        });
+        return model.save().then(function () {
+            expect(calls).to.be.deep.equal(['beforeSave', 'insert', 'afterSave']);
+            expect(ModelClass.storage.dump()[0]).to.have.property('updatedBy', 'user');
+            expect(model.isChanged()).to.be.equal(false);
+        });
+    });
+
+    it('should call fetch hooks around storage', function () {
+        var model = new ModelClass();
+        return model.save().then(function () {
+            calls = [];
+            model.on('beforeFetch', function () {
+                calls.push('beforeFetch');
+            });
+            model.on('afterFetch', function () {
+                calls.push('afterFetch');
+            });
+            return model.fetch();
+        }).then(function () {
+            expect(calls).to.be.deep.equal(['beforeFetch', 'find', 'afterFetch']);
+        });
+    });
+
+    it('should call remove hooks before destruct', function () {
+        var model = new ModelClass();
+        return model.save().then(function () {
+            calls = [];
+            model.on('beforeRemove', function () {
+                calls.push('beforeRemove');
+            });
+            model.on('afterRemove', function () {
+                expect(model.isDestructed()).to.be.equal(false);
+                calls.push('afterRemove');
+            });
+            return model.remove();
+        }).then(function () {
+            expect(calls).to.be.deep.equal(['beforeRemove', 'remove', 'afterRemove']);
+            expect(model.isDestructed()).to.be.equal(true);
+        });
+    });
+
+    it('should destruct new model without hooks at once', function () {
+        var model = new ModelClass(),
+            promise = model.remove();
+        expect(model.isDestructed()).to.be.equal(true);
+        return promise;
+    });
+
+    it('should destruct new model after remove hooks', function () {
+        var model = new ModelClass(),
+            promise;
+        model.on('afterRemove', function () {
+            calls.push('afterRemove');
+        });
+        promise = model.remove();
+        expect(model.isDestructed()).to.be.equal(false);
+        return promise.then(function () {
+            expect(calls).to.be.deep.equal(['afterRemove']);
+            expect(model.isDestructed()).to.be.equal(true);
+        });
+    });
+
+    it('should cancel operation when handler rejects', function () {
+        var model = new ModelClass();
+        model.on('beforeSave', function () {
+            return Vow.reject(new Error('forbidden'));
+        });
+        return model.save().then(function () {
+            throw new Error('should not be saved');
+        }, function (err) {
+            expect(err.message).to.be.equal('forbidden');
+            expect(calls).to.be.deep.equal([]);
+            expect(model.isNew()).to.be.equal(true);
+        });
+    });
+
+    it('should call class handlers after instance ones', function () {
+        var model = new ModelClass(),
+            handler = function () {
+                calls.push('class');
+            };
+        ModelClass.on('beforeSave', handler);
+        model.on('beforeSave', function () {
+            calls.push('instance');
+        });
+        return model.save().then(function () {
+            ModelClass.un('beforeSave', handler);
+            expect(calls).to.be.deep.equal(['instance', 'class', 'insert']);
+        });
+    });
+
+    it('should call once handlers only once', function () {
+        var model = new ModelClass();
+        model.once('afterSave', function () {
+            calls.push('afterSave');
+        });
+        return model.save().then(function () {
+            return model.save();
+        }).then(function () {
+            expect(calls).to.be.deep.equal(['insert', 'afterSave']);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+var expect = require('chai').expect;
+
+describe('Identity map', function () {
+    var Model = require('../lib/model'),
+        Collection = require('../lib/collection'),
+        Vow = require('vow'),
+        ModelClass = Model.inherit({
+            identityMap: true,
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String
+            },
+            storage: Model.Storage.Memory.inherit({})
+        }),
+        Owner = Model.inherit({
+            attributes: {
+                nested: Model.attributeTypes.Model(ModelClass),
+                list: Model.attributeTypes.ModelsList(ModelClass)
+            }
+        }),
+        TestCollection = Collection.inherit({
+            modelType: ModelClass
+        });
+
+    beforeEach(function () {
+        ModelClass.clearIdentityMap();
+        ModelClass.storage.reset([{id: 1, a: 'a-1'}, {id: 2, a: 'a-2'}]);
+    });
+
+    describe('findById', function () {
+        it('should fetch model', function () {
+            return ModelClass.findById(1).then(function (model) {
+                expect(model).to.be.instanceOf(ModelClass);
+                expect(model.get('a')).to.be.equal('a-1');
+            });
+        });
+
+        it('should return same instance', function () {
+            return Vow.all([ModelClass.findById(1), ModelClass.findById(1)]).spread(function (model1, model2) {
+                expect(model1).to.be.equal(model2);
+                return ModelClass.findById(1).then(function (model3) {
+                    expect(model3).to.be.equal(model1);
+                });
+            });
+        });
+
+        it('should return created model', function () {
+            var model = new ModelClass({id: 2});
+            return ModelClass.findById(2).then(function (found) {
+                expect(found).to.be.equal(model);
+            });
+        });
+
+        it('should register saved model', function () {
+            var model = new ModelClass({a: 'a-3'});
+            return model.save().then(function () {
+                return ModelClass.findById(model.getId());
+            }).then(function (found) {
+                expect(found).to.be.equal(model);
+            });
+        });
+
+        it('should reject for missed model', function () {
+            return ModelClass.findById(10).then(function () {
+                throw new Error('should not be found');
+            }, function (err) {
+                expect(err).to.be.instanceOf(Model.Storage.NotFoundError);
+            });
+        });
+    });
+
+    it('should evict destructed model', function () {
+        var model = new ModelClass({id: 1});
+        model.destruct();
+        return ModelClass.findById(1).then(function (found) {
+            expect(found).to.not.be.equal(model);
+        });
+    });
+
+    it('should be cleared', function () {
+        var model = new ModelClass({id: 1});
+        ModelClass.clearIdentityMap();
+        return ModelClass.findById(1).then(function (found) {
+            expect(found).to.not.be.equal(model);
+        });
+    });
+
+    it('should be reused by collection', function () {
+        var model = new ModelClass({id: 1}),
+            collection = new TestCollection([{id: 1, a: 'a-changed'}, {id: 2}]);
+        expect(collection.at(0)).to.be.equal(model);
+        expect(model.get('a')).to.be.equal('a-changed');
+        collection.remove(model);
+        expect(model.isDestructed()).to.be.equal(false);
+    });
+
+    it('should be reused by nested attributes', function () {
+        var model1 = new ModelClass({id: 1}),
+            model2 = new ModelClass({id: 2}),
+            owner = new Owner({
+                nested: {id: 1},
+                list: [{id: 1}, {id: 2}]
+            });
+        expect(owner.get('nested')).to.be.equal(model1);
+        expect(owner.get('list').get(0)).to.be.equal(model1);
+        expect(owner.get('list').get(1)).to.be.equal(model2);
+        owner.set('nested', {id: 2});
+        expect(owner.get('nested')).to.be.equal(model2);
+    });
+
+    it('should not be used by default', function () {
+        var PlainModel = Model.inherit({
+                attributes: {
+                    id: Model.attributeTypes.Id
+                }
+            }),
+            model = new PlainModel({id: 1}),
+            collection = new Collection([{id: 1}], {modelType: PlainModel});
+        expect(collection.at(0)).to.not.be.equal(model);
+    });
+});
@@ -74,4 +74,72 @@ describe('List attribute', function () {
             model1.set('list',  model2.get('list'));
         }).done();
     });
+
+    describe('of', function () {
+        var BaseModel = require('../lib/model'),
+            TypedModel = BaseModel.inherit({
+                attributes: {
+                    numbers: BaseModel.attributeTypes.List.of(BaseModel.attributeTypes.Number),
+                    dates: BaseModel.attributeTypes.List.of(BaseModel.attributeTypes.Date),
+                    sizes: BaseModel.attributeTypes.List.of(BaseModel.attributeTypes.Integer.inherit({
+                        min: 0
+                    }))
+                }
+            });
+
+        it('should coerce items on set', function () {
+            var model = new TypedModel({
+                numbers: ['1', 2]
+            });
+            expect(model.get('numbers').toArray()).to.be.deep.equal([1, 2]);
+            model.set('numbers', ['3']);
+            expect(model.get('numbers').toArray()).to.be.deep.equal([3]);
+        });
+
+        it('should coerce items added with mutating methods', function () {
+            var model = new TypedModel({
+                numbers: [1]
+            });
+            model.get('numbers').push('2');
+            model.get('numbers').unshift('0');
+            model.get('numbers').splice(1, 1, '5', '6');
+            expect(model.get('numbers').toArray()).to.be.deep.equal([0, 5, 6, 2]);
+        });
+
+        it('should serialize items with item type', function () {
+            var model = new TypedModel({
+                dates: [new Date(Date.UTC(2015, 0, 1))]
+            });
+            expect(model.toJSON().dates).to.be.deep.equal(['2015-01-01T00:00:00.000Z']);
+        });
+
+        it('should return items with item type', function () {
+            var model = new TypedModel({
+                dates: ['2015-01-01T00:00:00.000Z']
+            });
+            model.get('dates').push(Date.UTC(2015, 0, 2));
+            expect(model.get('dates').get(0)).to.be.instanceof(Date);
+            expect(model.get('dates').get(0).getTime()).to.be.equal(Date.UTC(2015, 0, 1));
+            expect(model.get('dates').get(2)).to.be.equal(undefined);
+            expect(model.get('dates').toArray().map(function (date) {
+                return date.toISOString();
+            })).to.be.deep.equal(['2015-01-01T00:00:00.000Z', '2015-01-02T00:00:00.000Z']);
+        });
+
+        it('should validate items by index', function () {
+            var model = new TypedModel({
+                sizes: [1, -1, 2, -3]
+            });
+            return model.validate().then(function () {
+                throw new Error('should not be valid');
+            }, function (err) {
+                expect(err.attributes).to.have.length(1);
+                expect(err.attributes[0].attribute.name).to.be.equal('sizes');
+                expect(err.attributes[0].data).to.be.deep.equal({
+                    1: 'value is less than 0',
+                    3: 'value is less than 0'
+                });
+            });
+        });
+    });
 });
@@ -0,0 +1,185 @@
+var expect = require('chai').expect;
+
+describe('Map attribute', function () {
+    var Model = require('../lib/model'),
+        ItemModel = Model.inherit({
+            attributes: {
+                a: Model.attributeTypes.String
+            }
+        }),
+        ModelClass = Model.inherit({
+            attributes: {
+                counts: Model.attributeTypes.Map(Model.attributeTypes.Number),
+                dates: Model.attributeTypes.Map(Model.attributeTypes.Date),
+                sizes: Model.attributeTypes.Map(Model.attributeTypes.Integer.inherit({
+                    min: 0
+                })),
+                items: Model.attributeTypes.Map(ItemModel)
+            }
+        });
+
+    it('should coerce values with value type', function () {
+        var model = new ModelClass({
+            counts: {a: '1', b: 2}
+        });
+        expect(model.get('counts').get('a')).to.be.equal(1);
+        model.get('counts').set('c', '3');
+        expect(model.get('counts').get('c')).to.be.equal(3);
+        expect(model.get('counts').keys()).to.be.deep.equal(['a', 'b', 'c']);
+        expect(model.get('counts').has('b')).to.be.equal(true);
+        expect(model.get('counts').size()).to.be.equal(3);
+    });
+
+    it('should delete keys', function () {
+        var model = new ModelClass({
+            counts: {a: 1, b: 2}
+        });
+        expect(model.get('counts').delete('a')).to.be.equal(true);
+        expect(model.get('counts').delete('a')).to.be.equal(false);
+        expect(model.get('counts').has('a')).to.be.equal(false);
+        expect(model.get('counts').get('a')).to.be.equal(undefined);
+        expect(model.toJSON().counts).to.be.deep.equal({b: 2});
+    });
+
+    it('should serialize values with value type', function () {
+        var model = new ModelClass({
+            dates: {created: new Date(Date.UTC(2015, 0, 1))}
+        });
+        expect(model.get('dates').get('created')).to.be.instanceof(Date);
+        expect(model.toJSON().dates).to.be.deep.equal({created: '2015-01-01T00:00:00.000Z'});
+    });
+
+    it('should not be changed by equal value', function () {
+        var model = new ModelClass({
+            counts: {a: 1, b: 2}
+        });
+        model.get('counts').set('a', '1');
+        model.set('counts', {b: 2, a: 1});
+        expect(model.isChanged()).to.be.equal(false);
+    });
+
+    it('should commit and revert keys', function () {
+        var model = new ModelClass({
+            counts: {a: 1, b: 2}
+        });
+        model.get('counts').set('a', 10);
+        model.commit();
+        model.get('counts').set('b', 20);
+        model.get('counts').set('c', 30);
+        expect(model.isChanged()).to.be.equal(true);
+        expect(model.getChanges().counts.changes).to.be.deep.equal({
+            b: {oldValue: 2, newValue: 20},
+            c: {oldValue: undefined, newValue: 30}
+        });
+        model.revert();
+        expect(model.toJSON().counts).to.be.deep.equal({a: 10, b: 2});
+        expect(model.isChanged()).to.be.equal(false);
+    });
+
+    it('should keep committed values in branches', function () {
+        var model = new ModelClass({
+                counts: {a: 1}
+            }),
+            branch = 'branch';
+        model.commit(branch);
+        model.get('counts').set('a', 2);
+        model.commit();
+        model.get('counts').set('b', 3);
+        expect(model.getLastCommitted(branch).counts).to.be.deep.equal({a: 1});
+        expect(model.getLastCommitted().counts).to.be.deep.equal({a: 2});
+        model.revert(branch);
+        expect(model.toJSON().counts).to.be.deep.equal({a: 1});
+    });
+
+    it('should emit per key change events', function (done) {
+        var model = new ModelClass({
+                counts: {a: 1, b: 2}
+            }),
+            changedKeys = [];
+        model.on('counts.a counts.c', 'change', function () {
+            changedKeys.push('a or c');
+        });
+        model.on('change:counts.b', function () {
+            done(new Error('b should not be changed'));
+        });
+        model.on('change', function () {
+            expect(changedKeys).to.be.deep.equal(['a or c', 'a or c']);
+            done();
+        });
+        model.get('counts').set('a', 5);
+        model.get('counts').set('c', 6);
+    });
+
+    it('should validate values by keys', function () {
+        var model = new ModelClass({
+            sizes: {s: 1, m: -2, l: 3}
+        });
+        return model.validate().then(function () {
+            throw new Error('should not be valid');
+        }, function (err) {
+            expect(err.attributes).to.have.length(1);
+            expect(err.attributes[0].attribute.name).to.be.equal('sizes');
+            expect(err.attributes[0].data).to.be.deep.equal({m: 'value is less than 0'});
+        });
+    });
+
+    describe('with nested models', function () {
+        it('should create models from data', function () {
+            var item = new ItemModel({a: 'a-2'}),
+                model = new ModelClass({
+                    items: {first: {a: 'a-1'}}
+                });
+            model.get('items').set('second', item);
+            expect(model.get('items').get('first')).to.be.instanceof(ItemModel);
+            expect(model.get('items').get('second')).to.be.equal(item);
+            expect(model.toJSON().items).to.be.deep.equal({
+                first: {a: 'a-1'},
+                second: {a: 'a-2'}
+            });
+        });
+
+        it('should track changes of nested models', function () {
+            var model = new ModelClass({
+                    items: {first: {a: 'a-1'}}
+                }),
+                item = model.get('items').get('first');
+
+            item.set('a', 'a-2');
+            expect(model.isChanged()).to.be.equal(true);
+            expect(model.getChanges().items.changes.first.a).to.be.deep.equal({
+                oldValue: 'a-1',
+                newValue: 'a-2'
+            });
+            model.revert();
+            expect(item.get('a')).to.be.equal('a-1');
+            expect(model.isChanged()).to.be.equal(false);
+        });
+
+        it('should emit change of key when nested model changed', function (done) {
+            var model = new ModelClass({
+                items: {first: {a: 'a-1'}}
+            });
+            model.on('change:items.first', function () {
+                done();
+            });
+            model.get('items').get('first').set('a', 'a-2');
+        });
+
+        it('should remove destructed models', function () {
+            var model = new ModelClass({
+                items: {first: {a: 'a-1'}, second: {a: 'a-2'}}
+            });
+            model.get('items').get('first').destruct();
+            expect(model.get('items').keys()).to.be.deep.equal(['second']);
+        });
+
+        it('should destruct owned models', function () {
+            var model = new ModelClass({
+                    items: {first: {a: 'a-1'}}
+                }),
+                item = model.get('items').get('first');
+            model.destruct();
+            expect(item.isDestructed()).to.be.equal(true);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+var expect = require('chai').expect;
+
+describe('Memory storage', function () {
+    var Model = require('../lib/model'),
+        ModelClass = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String,
+                list: Model.attributeTypes.List
+            },
+            storage: Model.Storage.Memory.inherit({})
+        });
+
+    beforeEach(function () {
+        ModelClass.storage.reset();
+    });
+
+    it('should insert model and generate id', function () {
+        var model = new ModelClass({a: 'a-1'});
+        return model.save().then(function () {
+            expect(model.getId()).to.be.equal(1);
+            expect(ModelClass.storage.dump()).to.be.deep.equal([{
+                id: 1,
+                a: 'a-1',
+                list: []
+            }]);
+        });
+    });
+
+    it('should generate ids of declared data type', function () {
+        var StringIdModel = Model.inherit({
+                attributes: {
+                    id: Model.attributeTypes.Id.inherit({
+                        dataType: String
+                    })
+                },
+                storage: Model.Storage.Memory.inherit({})
+            }),
+            model = new StringIdModel();
+        return model.save().then(function () {
+            expect(model.getId()).to.be.equal('1');
+        });
+    });
+
+    it('should update and find model', function () {
+        var model = new ModelClass({a: 'a-1'});
+        return model.save().then(function () {
+            model.set('a', 'a-2');
+            return model.save();
+        }).then(function () {
+            var model2 = new ModelClass({id: model.getId()});
+            return model2.fetch().then(function () {
+                expect(model2.get('a')).to.be.equal('a-2');
+            });
+        });
+    });
+
+    it('should not share stored data with models', function () {
+        var model = new ModelClass({list: [1]});
+        return model.save().then(function () {
+            model.get('list').push(2);
+            expect(ModelClass.storage.dump()[0].list).to.be.deep.equal([1]);
+        });
+    });
+
+    it('should reject with NotFoundError for missed records', function () {
+        var model = new ModelClass({id: 5});
+        return model.fetch().then(function () {
+            throw new Error('should not be fetched');
+        }, function (err) {
+            expect(err).to.be.instanceOf(Model.Storage.NotFoundError);
+            expect(err.id).to.be.equal(5);
+        });
+    });
+
+    it('should remove model', function () {
+        var model = new ModelClass();
+        return model.save().then(function () {
+            return model.remove();
+        }).then(function () {
+            expect(ModelClass.storage.dump()).to.be.deep.equal([]);
+        });
+    });
+
+    it('should be reset with initial records', function () {
+        var model = new ModelClass();
+        ModelClass.storage.reset([{id: 10, a: 'a-10'}]);
+        return model.save().then(function () {
+            expect(model.getId()).to.be.equal(11);
+            expect(ModelClass.storage.dump()).to.have.length(2);
+        });
+    });
+
+    it('should keep records separately for each storage class', function () {
+        var OtherStorage = Model.Storage.Memory.inherit({}),
+            model = new ModelClass();
+        return model.save().then(function () {
+            expect(OtherStorage.dump()).to.be.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+var expect = require('chai').expect;
+
+describe('Integer and Decimal attributes', function () {
+    var Model = require('../lib/model'),
+        ModelClass = Model.inherit({
+            attributes: {
+                count: Model.attributeTypes.Integer.inherit({
+                    min: 0,
+                    max: 10
+                }),
+                price: Model.attributeTypes.Decimal,
+                rate: Model.attributeTypes.Decimal.inherit({
+                    scale: 3,
+                    rounding: 'halfEven'
+                })
+            }
+        });
+
+    it('should round integer', function () {
+        var model = new ModelClass({count: 2.5});
+        expect(model.get('count')).to.be.equal(3);
+        model.set('count', '-2.5');
+        expect(model.get('count')).to.be.equal(-3);
+        model.set('count', 4.4);
+        expect(model.get('count')).to.be.equal(4);
+    });
+
+    it('should keep decimal scale without float drift', function () {
+        var model = new ModelClass({price: 1.005});
+        expect(model.get('price')).to.be.equal(1.01);
+        model.set('price', 0.1 + 0.2);
+        expect(model.get('price')).to.be.equal(0.3);
+        model.set('price', '19.999');
+        expect(model.get('price')).to.be.equal(20);
+        expect(model.toJSON().price).to.be.equal(20);
+    });
+
+    it('should support rounding modes', function () {
+        var model = new ModelClass({rate: 0.0125});
+        expect(model.get('rate')).to.be.equal(0.012);
+        model.set('rate', 0.0135);
+        expect(model.get('rate')).to.be.equal(0.014);
+        ['floor', 'ceil', 'trunc'].forEach(function (rounding) {
+            var RoundedModel = Model.inherit({
+                    attributes: {
+                        value: Model.attributeTypes.Integer.inherit({
+                            rounding: rounding
+                        })
+                    }
+                }),
+                rounded = new RoundedModel({value: -1.5});
+            expect(rounded.get('value')).to.be.equal({floor: -2, ceil: -1, trunc: -1}[rounding]);
+        });
+    });
+
+    it('should not be changed by rounding noise', function () {
+        var model = new ModelClass({price: 0.3});
+        model.set('price', 0.1 + 0.2);
+        expect(model.isChanged()).to.be.equal(false);
+    });
+
+    it('should keep Infinity serialization', function () {
+        var model = new ModelClass({price: Infinity});
+        expect(model.get('price')).to.be.equal(Infinity);
+        expect(model.toJSON().price).to.be.equal('Infinity');
+    });
+
+    it('should not be valid for NaN', function () {
+        var model = new ModelClass({count: 5, price: 'abc', rate: 1});
+        return model.validate().then(function () {
+            throw new Error('should not be valid');
+        }, function (err) {
+            expect(err.attributes).to.have.length(1);
+            expect(err.attributes[0].attribute.name).to.be.equal('price');
+            expect(err.attributes[0].message).to.be.equal('value is not a number');
+        });
+    });
+
+    it('should be valid and null if not set', function () {
+        var model = new ModelClass({count: 5});
+        expect(model.get('price')).to.be.equal(null);
+        expect(model.toJSON().rate).to.be.equal(null);
+        model.set('count', null);
+        expect(model.get('count')).to.be.equal(null);
+        return model.validate();
+    });
+
+    it('should validate bounds', function () {
+        var model = new ModelClass({count: 11, price: 1, rate: 1});
+        return model.validate().then(function () {
+            throw new Error('should not be valid');
+        }, function (err) {
+            expect(err.attributes[0].message).to.be.equal('value is greater than 10');
+            model.set('count', -1);
+            return model.validate();
+        }).then(function () {
+            throw new Error('should not be valid');
+        }, function (err) {
+            expect(err.attributes[0].message).to.be.equal('value is less than 0');
+        });
+    });
+});
@@ -0,0 +1,155 @@
+var expect = require('chai').expect;
+
+describe('Polymorphic nested models', function () {
+    var Model = require('../lib/model'),
+        Card = Model.inherit({
+            attributes: {
+                type: Model.attributeTypes.String.inherit({
+                    default: 'card'
+                }),
+                number: Model.attributeTypes.String
+            }
+        }),
+        Wallet = Model.inherit({
+            attributes: {
+                type: Model.attributeTypes.String.inherit({
+                    default: 'wallet'
+                }),
+                account: Model.attributeTypes.String
+            }
+        }),
+        paymentType = {
+            field: 'type',
+            types: {
+                card: Card,
+                wallet: Wallet
+            }
+        },
+        ModelClass = Model.inherit({
+            attributes: {
+                payment: Model.attributeTypes.Model({
+                    field: 'type',
+                    types: paymentType.types,
+                    default: 'card'
+                }),
+                payments: Model.attributeTypes.ModelsList(paymentType),
+                paymentsCollection: Model.attributeTypes.Collection.inherit({
+                    modelType: paymentType
+                })
+            }
+        });
+
+    describe('Model', function () {
+        it('should choose model class by discriminator', function () {
+            var model = new ModelClass({
+                payment: {type: 'wallet', account: 'a-1'}
+            });
+            expect(model.get('payment')).to.be.instanceof(Wallet);
+            expect(model.get('payment').get('account')).to.be.equal('a-1');
+        });
+
+        it('should use default type for data without discriminator', function () {
+            var model = new ModelClass();
+            expect(model.get('payment')).to.be.instanceof(Card);
+        });
+
+        it('should set data to nested model of same type', function () {
+            var model = new ModelClass({
+                    payment: {type: 'card', number: '1111'}
+                }),
+                card = model.get('payment');
+            model.set('payment', {type: 'card', number: '2222'});
+            model.set('payment', {number: '3333'});
+            expect(model.get('payment')).to.be.equal(card);
+            expect(card.get('number')).to.be.equal('3333');
+        });
+
+        it('should replace nested model when type is switched', function (done) {
+            var model = new ModelClass({
+                    payment: {type: 'card', number: '1111'}
+                }),
+                card = model.get('payment');
+            model.on('change:payment', function () {
+                expect(model.toJSON().payment).to.be.deep.equal({type: 'wallet', account: 'a-1'});
+                done();
+            });
+            model.set('payment', {type: 'wallet', account: 'a-1'});
+            expect(model.get('payment')).to.be.instanceof(Wallet);
+            expect(card.isDestructed()).to.be.equal(false);
+        });
+
+        it('should track switched model until commit', function () {
+            var model = new ModelClass({
+                    payment: {type: 'card', number: '1111'}
+                }),
+                card = model.get('payment');
+            model.set('payment', {type: 'wallet', account: 'a-1'});
+            expect(model.isChanged()).to.be.equal(true);
+            expect(model.getChanges().payment).to.be.deep.equal({
+                oldValue: {type: 'card', number: '1111'},
+                newValue: {type: 'wallet', account: 'a-1'},
+                changes: {
+                    type: {oldValue: 'card', newValue: 'wallet'},
+                    number: {oldValue: '1111', newValue: undefined},
+                    account: {oldValue: undefined, newValue: 'a-1'}
+                }
+            });
+            model.revert();
+            expect(model.get('payment')).to.be.equal(card);
+            expect(card.isDestructed()).to.be.equal(false);
+            expect(model.toJSON().payment).to.be.deep.equal({type: 'card', number: '1111'});
+            expect(model.isChanged()).to.be.equal(false);
+
+            model.set('payment', {type: 'wallet', account: 'a-1'});
+            return model.ready().then(function () {
+                model.commit();
+                expect(model.isChanged()).to.be.equal(false);
+                expect(card.isDestructed()).to.be.equal(true);
+            });
+        });
+
+        it('should listen to switched model', function (done) {
+            var model = new ModelClass();
+            model.set('payment', {type: 'wallet'});
+            model.ready().then(function () {
+                model.on('change:payment', function () {
+                    done();
+                });
+                model.get('payment').set('account', 'a-2');
+            }).done();
+        });
+
+        it('should throw for unknown type', function () {
+            expect(function () {
+                return new ModelClass({
+                    payment: {type: 'cash'}
+                });
+            }).to.throw(Error);
+        });
+    });
+
+    describe('ModelsList', function () {
+        it('should choose model class for every item', function () {
+            var model = new ModelClass({
+                payments: [{type: 'card', number: '1111'}, {type: 'wallet', account: 'a-1'}]
+            });
+            model.get('payments').push({type: 'wallet', account: 'a-2'});
+            expect(model.get('payments').get(0)).to.be.instanceof(Card);
+            expect(model.get('payments').get(1)).to.be.instanceof(Wallet);
+            expect(model.get('payments').get(2)).to.be.instanceof(Wallet);
+            expect(model.toJSON().payments[2]).to.be.deep.equal({type: 'wallet', account: 'a-2'});
+        });
+    });
+
+    describe('Collection', function () {
+        it('should choose model class for every item', function () {
+            var model = new ModelClass({
+                paymentsCollection: [{type: 'wallet', account: 'a-1'}, {type: 'card', number: '1111'}]
+            });
+            model.get('paymentsCollection').add({type: 'card', number: '2222'});
+            expect(model.get('paymentsCollection').at(0)).to.be.instanceof(Wallet);
+            expect(model.get('paymentsCollection').at(1)).to.be.instanceof(Card);
+            expect(model.get('paymentsCollection').at(2)).to.be.instanceof(Card);
+        });
+    });
+});
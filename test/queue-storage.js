@@ -0,0 +1,209 @@
+var expect = require('chai').expect;
+
+describe('Queue storage', function () {
+    var Model = require('../lib/model'),
+        Vow = require('vow'),
+        RemoteStorage, ModelClass, backend;
+
+    beforeEach(function () {
+        RemoteStorage = Model.Storage.Memory.inherit({});
+        RemoteStorage.reset([{id: 1, a: 'existing'}]);
+        backend = new Model.Storage.Queue.MemoryBackend();
+        ModelClass = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String
+            },
+            storage: Model.Storage.Queue.inherit({
+                storage: RemoteStorage,
+                backend: backend
+            })
+        });
+    });
+
+    it('should queue operations instead of running them', function () {
+        var created = new ModelClass({a: 'created'}),
+            existing = new ModelClass({id: 1, a: 'changed'});
+
+        return Vow.all([created.save(), existing.save()]).then(function () {
+            expect(RemoteStorage.dump()).to.be.deep.equal([{id: 1, a: 'existing'}]);
+            expect(backend.state.operations.map(function (operation) {
+                return operation.type;
+            })).to.be.deep.equal(['insert', 'update']);
+            return ModelClass.storage.getOperations();
+        }).then(function (operations) {
+            expect(operations).to.have.length(2);
+        });
+    });
+
+    it('should give temporary id to new model', function () {
+        var model = new ModelClass({a: 'created'});
+
+        return model.save().then(function () {
+            expect(model.isNew()).to.be.equal(false);
+            expect(model.getId()).to.be.equal(-1);
+        });
+    });
+
+    it('should replay operations in order on flush', function () {
+        var created = new ModelClass({a: 'created'}),
+            existing = new ModelClass({id: 1, a: 'changed'});
+
+        return created.save().then(function () {
+            return existing.save();
+        }).then(function () {
+            return ModelClass.storage.flush();
+        }).then(function () {
+            expect(RemoteStorage.dump()).to.be.deep.equal([{id: 1, a: 'changed'}, {id: 2, a: 'created'}]);
+            expect(backend.state.operations).to.be.deep.equal([]);
+        });
+    });
+
+    it('should map temporary id to storage id', function () {
+        var model = new ModelClass({a: 'created'});
+
+        return model.save().then(function () {
+            return ModelClass.storage.flush();
+        }).then(function () {
+            expect(model.getId()).to.be.equal(2);
+            expect(model.isNew()).to.be.equal(false);
+            expect(model.isChanged()).to.be.equal(false);
+        });
+    });
+
+    it('should collapse updates of same model', function () {
+        var model = new ModelClass({id: 1, a: 'first'});
+
+        return model.save().then(function () {
+            model.set('a', 'second');
+            return model.save();
+        }).then(function () {
+            expect(backend.state.operations).to.have.length(1);
+            expect(backend.state.operations[0].data).to.be.deep.equal({id: 1, a: 'second'});
+        });
+    });
+
+    it('should collapse updates into insert', function () {
+        var model = new ModelClass({a: 'first'});
+
+        return model.save().then(function () {
+            model.set('a', 'second');
+            return model.save();
+        }).then(function () {
+            expect(backend.state.operations).to.have.length(1);
+            return ModelClass.storage.flush();
+        }).then(function () {
+            expect(RemoteStorage.dump()[1]).to.be.deep.equal({id: 2, a: 'second'});
+        });
+    });
+
+    it('should keep version of model equal to stored one', function () {
+        var VersionedModel = Model.inherit({
+                attributes: {
+                    id: Model.attributeTypes.Id,
+                    version: Model.attributeTypes.Version,
+                    a: Model.attributeTypes.String
+                },
+                storage: Model.Storage.Queue.inherit({
+                    storage: RemoteStorage
+                })
+            }),
+            model = new VersionedModel({a: 'first'});
+
+        return model.save().then(function () {
+            model.set('a', 'second');
+            return model.save();
+        }).then(function () {
+            return VersionedModel.storage.flush();
+        }).then(function () {
+            expect(RemoteStorage.dump()[1]).to.be.deep.equal({id: 2, version: 1, a: 'second'});
+            model.set('a', 'third');
+            return model.save();
+        }).then(function () {
+            return VersionedModel.storage.flush();
+        }).then(function () {
+            expect(model.getVersion()).to.be.equal(2);
+            expect(RemoteStorage.dump()[1]).to.be.deep.equal({id: 2, version: 2, a: 'third'});
+        });
+    });
+
+    it('should forget not flushed model on remove', function () {
+        var model = new ModelClass({a: 'created'});
+
+        return model.save().then(function () {
+            return model.remove();
+        }).then(function () {
+            expect(backend.state.operations).to.be.deep.equal([]);
+        });
+    });
+
+    it('should keep failed operations in queue', function () {
+        var model = new ModelClass({id: 10, a: 'missed'});
+
+        return model.save().then(function () {
+            return ModelClass.storage.flush();
+        }).then(function () {
+            throw new Error('should fail');
+        }, function (err) {
+            expect(err).to.be.instanceOf(Model.Storage.NotFoundError);
+            expect(backend.state.operations).to.have.length(1);
+        });
+    });
+
+    it('should restore operations from backend', function () {
+        var RestoredModel = ModelClass.inherit({
+            storage: ModelClass.storage.inherit({
+                backend: new Model.Storage.Queue.MemoryBackend({
+                    operations: [{type: 'insert', id: -1, data: {id: -1, a: 'restored'}}],
+                    lastTempId: 1
+                })
+            })
+        });
+        RestoredModel.storage.modelType = RestoredModel;
+
+        return RestoredModel.storage.flush().then(function () {
+            expect(RemoteStorage.dump()[1]).to.be.deep.equal({id: 2, a: 'restored'});
+        });
+    });
+
+    it('should replay insert as new model', function () {
+        var inserted = [],
+            CheckedModel = ModelClass.inherit({
+                storage: Model.Storage.Queue.inherit({
+                    storage: RemoteStorage.inherit({
+                        insert: function (model) {
+                            inserted.push({isNew: model.isNew(), data: model.toJSON()});
+                            return this.__base.apply(this, arguments);
+                        }
+                    })
+                })
+            }),
+            model = new CheckedModel({a: 'created'});
+
+        return model.save().then(function () {
+            return CheckedModel.storage.flush();
+        }).then(function () {
+            expect(inserted).to.be.deep.equal([{isNew: true, data: {id: null, a: 'created'}}]);
+            expect(model.getId()).to.be.equal(1);
+        });
+    });
+
+    it('should map temporary id in pending operations', function () {
+        var RestoredModel = ModelClass.inherit({
+            storage: ModelClass.storage.inherit({
+                backend: new Model.Storage.Queue.MemoryBackend({
+                    operations: [
+                        {type: 'insert', id: -1, data: {id: -1, a: 'restored'}},
+                        {type: 'update', id: -1, data: {id: -1, a: 'updated'}}
+                    ],
+                    lastTempId: 1
+                })
+            })
+        });
+        RestoredModel.storage.modelType = RestoredModel;
+
+        return RestoredModel.storage.flush().then(function () {
+            expect(RemoteStorage.dump()).to.be.deep.equal([{id: 1, a: 'existing'}, {id: 2, a: 'updated'}]);
+        });
+    });
+});
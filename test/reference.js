@@ -0,0 +1,125 @@
+var expect = require('chai').expect;
+
+describe('Reference', function () {
+    var Model = require('../lib/model'),
+        Vow = require('vow'),
+        finds, User, Post;
+
+    beforeEach(function () {
+        finds = 0;
+        User = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                name: Model.attributeTypes.String
+            },
+            storage: Model.Storage.Memory.inherit({
+                find: function () {
+                    finds++;
+                    return this.__base.apply(this, arguments);
+                }
+            })
+        });
+        User.storage.reset([{id: 1, name: 'user-1'}, {id: 2, name: 'user-2'}]);
+        Post = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                author: Model.attributeTypes.Reference(User)
+            }
+        });
+    });
+
+    it('should serialize to id', function () {
+        var post = new Post({author: 1});
+        expect(post.get('author')).to.be.equal(1);
+        expect(post.toJSON()).to.be.deep.equal({id: null, author: 1});
+        expect(new Post().get('author')).to.be.equal(null);
+    });
+
+    it('should accept model and model data', function () {
+        var post = new Post({author: {id: 2, name: 'user-2'}});
+        expect(post.get('author')).to.be.equal(2);
+        post.set('author', new User({id: 1}));
+        expect(post.get('author')).to.be.equal(1);
+    });
+
+    it('should accept data of model with custom id type', function () {
+        var Author = Model.inherit({
+                attributes: {
+                    login: Model.attributeTypes.Id.inherit({
+                        dataType: String
+                    })
+                }
+            }),
+            Book = Model.inherit({
+                attributes: {
+                    author: Model.attributeTypes.Reference(Author)
+                }
+            });
+        expect(new Book({author: {login: 'user-1'}}).get('author')).to.be.equal('user-1');
+    });
+
+    it('should resolve referenced model from storage', function () {
+        var post = new Post({author: 1});
+        return post.getRelated('author').then(function (user) {
+            expect(user).to.be.instanceOf(User);
+            expect(user.get('name')).to.be.equal('user-1');
+        });
+    });
+
+    it('should cache resolved model', function () {
+        var post = new Post({author: 1});
+        return Vow.all([post.getRelated('author'), post.getRelated('author')]).spread(function (user1, user2) {
+            expect(user1).to.be.equal(user2);
+            return post.attributes.author.resolve().then(function (user3) {
+                expect(user3).to.be.equal(user1);
+                expect(finds).to.be.equal(1);
+            });
+        });
+    });
+
+    it('should resolve again when id is changed', function () {
+        var post = new Post({author: 1});
+        return post.getRelated('author').then(function () {
+            post.set('author', 2);
+            return post.getRelated('author');
+        }).then(function (user) {
+            expect(user.get('name')).to.be.equal('user-2');
+            expect(finds).to.be.equal(2);
+        });
+    });
+
+    it('should resolve set model without fetching', function () {
+        var user = new User({id: 5}),
+            post = new Post();
+        post.set('author', user);
+        return post.getRelated('author').then(function (resolved) {
+            expect(resolved).to.be.equal(user);
+            expect(finds).to.be.equal(0);
+        });
+    });
+
+    it('should resolve null for empty reference', function () {
+        return new Post().getRelated('author').then(function (user) {
+            expect(user).to.be.equal(null);
+        });
+    });
+
+    it('should track changes by id', function () {
+        var post = new Post({author: 1});
+        post.set('author', new User({id: 1}));
+        expect(post.isChanged()).to.be.equal(false);
+        post.set('author', {id: 2});
+        expect(post.isChanged()).to.be.equal(true);
+        expect(post.getChanges()).to.be.deep.equal({
+            author: {oldValue: 1, newValue: 2}
+        });
+        post.revert();
+        expect(post.get('author')).to.be.equal(1);
+    });
+
+    it('should throw for not reference attribute', function () {
+        expect(function () {
+            new Post().getRelated('id');
+        }).to.throw(Error);
+    });
+});
@@ -0,0 +1,192 @@
+var expect = require('chai').expect,
+    http = require('http');
+
+describe('Rest storage', function () {
+    var Model = require('../lib/model'),
+        Vow = require('vow'),
+        records, requests, server, ModelClass;
+
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            var body = '';
+            req.on('data', function (chunk) {
+                body += chunk;
+            });
+            req.on('end', function () {
+                var match = req.url.match(/^\/models(?:\/(\d+))?$/),
+                    id = match && match[1],
+                    data = body ? JSON.parse(body) : null;
+
+                requests.push(req.method + ' ' + req.url);
+                res.setHeader('Content-Type', 'application/json');
+
+                if (!match || (id && !records[id])) {
+                    res.statusCode = 404;
+                    return res.end();
+                }
+                if (req.method === 'POST') {
+                    data.id = Object.keys(records).length + 1;
+                    records[data.id] = data;
+                    res.statusCode = 201;
+                    return res.end(JSON.stringify(data));
+                }
+                if (req.method === 'PUT' && data.a === 'conflict') {
+                    res.statusCode = 409;
+                    return res.end(JSON.stringify(records[id]));
+                }
+                if (req.method === 'PUT') {
+                    records[id] = data;
+                } else if (req.method === 'DELETE') {
+                    delete records[id];
+                } else if (req.method === 'GET') {
+                    return res.end(JSON.stringify(records[id]));
+                }
+                res.statusCode = 204;
+                res.end();
+            });
+        });
+        server.listen(0, '127.0.0.1', function () {
+            ModelClass = Model.inherit({
+                attributes: {
+                    id: Model.attributeTypes.Id,
+                    a: Model.attributeTypes.String
+                },
+                storage: Model.Storage.Rest.inherit({
+                    baseUrl: 'http://127.0.0.1:' + server.address().port,
+                    route: '/models/{id}'
+                })
+            });
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    beforeEach(function () {
+        records = {};
+        requests = [];
+    });
+
+    it('should map operations to http methods', function () {
+        var model = new ModelClass({a: 'a-1'});
+        return model.save().then(function () {
+            expect(model.getId()).to.be.equal(1);
+            model.set('a', 'a-2');
+            return model.save();
+        }).then(function () {
+            return new ModelClass({id: 1}).fetch();
+        }).then(function () {
+            return model.remove();
+        }).then(function () {
+            expect(requests).to.be.deep.equal([
+                'POST /models',
+                'PUT /models/1',
+                'GET /models/1',
+                'DELETE /models/1'
+            ]);
+        });
+    });
+
+    it('should reject with NotFoundError on 404', function () {
+        return new ModelClass({id: 10}).fetch().then(function () {
+            throw new Error('should not be found');
+        }, function (err) {
+            expect(err).to.be.instanceOf(Model.Storage.NotFoundError);
+            expect(err.status).to.be.equal(404);
+        });
+    });
+
+    it('should reject with ConflictError on 409', function () {
+        var model = new ModelClass({a: 'a-1'});
+        return model.save().then(function () {
+            model.set('a', 'conflict');
+            return model.save();
+        }).then(function () {
+            throw new Error('should not be saved');
+        }, function (err) {
+            expect(err).to.be.instanceOf(Model.ConflictError);
+            expect(err.data).to.be.deep.equal({id: 1, a: 'a-1'});
+        });
+    });
+
+    describe('custom transport', function () {
+        var transportRequests,
+            StubModel = Model.inherit({
+                attributes: {
+                    id: Model.attributeTypes.Id,
+                    userId: Model.attributeTypes.Number,
+                    a: Model.attributeTypes.String
+                },
+                storage: Model.Storage.Rest.inherit({
+                    baseUrl: '/api',
+                    route: '/users/{userId}/posts/{id}',
+                    partialUpdate: true,
+                    transport: function (request) {
+                        transportRequests.push(request);
+                        if (request.method === 'GET') {
+                            return Vow.fulfill({status: 503, body: null});
+                        }
+                        if (request.method === 'DELETE') {
+                            return Vow.reject(new Error('socket hang up'));
+                        }
+                        return Vow.fulfill(request.method === 'POST' ? {
+                            status: 200,
+                            body: 5
+                        } : {
+                            status: 500,
+                            body: 'Error'
+                        });
+                    }
+                })
+            });
+
+        beforeEach(function () {
+            transportRequests = [];
+        });
+
+        it('should build url from model attributes', function () {
+            var model = new StubModel({userId: 2, a: 'a-1'});
+            return model.save().then(function () {
+                expect(model.getId()).to.be.equal(5);
+                expect(transportRequests[0]).to.have.property('url', '/api/users/2/posts');
+                expect(transportRequests[0].body).to.be.deep.equal({id: null, userId: 2, a: 'a-1'});
+            });
+        });
+
+        it('should send PATCH for partial update and reject with HttpError', function () {
+            var model = new StubModel({id: 1, userId: 2});
+            model.set('a', 'a-2');
+            return model.save().then(function () {
+                throw new Error('should not be saved');
+            }, function (err) {
+                expect(transportRequests[0]).to.have.property('method', 'PATCH');
+                expect(transportRequests[0]).to.have.property('url', '/api/users/2/posts/1');
+                expect(transportRequests[0].body).to.be.deep.equal({a: 'a-2'});
+                expect(err).to.be.instanceOf(Model.Storage.Rest.HttpError);
+                expect(err.status).to.be.equal(500);
+            });
+        });
+
+        it('should reject with StorageUnavailableError on 503', function () {
+            var model = new StubModel({id: 1, userId: 2});
+            return model.fetch().then(function () {
+                throw new Error('should not be fetched');
+            }, function (err) {
+                expect(err).to.be.instanceOf(Model.StorageUnavailableError);
+                expect(err.status).to.be.equal(503);
+            });
+        });
+
+        it('should reject with StorageUnavailableError on network error', function () {
+            var model = new StubModel({id: 1, userId: 2});
+            return model.remove().then(function () {
+                throw new Error('should not be removed');
+            }, function (err) {
+                expect(err).to.be.instanceOf(Model.StorageUnavailableError);
+                expect(err.cause.message).to.be.equal('socket hang up');
+            });
+        });
+    });
+});
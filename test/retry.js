@@ -0,0 +1,135 @@
+var expect = require('chai').expect;
+
+describe('Retry', function () {
+    var Model = require('../lib/model'),
+        Vow = require('vow'),
+        originalSetTimeout = global.setTimeout,
+        delays, failures, ModelClass;
+
+    beforeEach(function () {
+        delays = [];
+        failures = 0;
+        //fake timer, which runs callbacks at once
+        global.setTimeout = function (fn, ms) {
+            delays.push(ms);
+            fn();
+        };
+        ModelClass = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String
+            },
+            storage: Model.Storage.Memory.inherit({
+                retry: {
+                    attempts: 4,
+                    delay: 100,
+                    jitter: 0
+                },
+                insert: function () {
+                    if (failures > 0) {
+                        failures--;
+                        return Vow.reject(new Error('unavailable'));
+                    }
+                    return this.__base.apply(this, arguments);
+                },
+                update: function () {
+                    if (failures > 0) {
+                        failures--;
+                        return Vow.reject(new Error('unavailable'));
+                    }
+                    return this.__base.apply(this, arguments);
+                }
+            })
+        });
+        ModelClass.storage.reset([{id: 1, a: 'a-1'}]);
+    });
+
+    /**
+     * @returns {Model} changed model of existing record
+     */
+    function createChanged() {
+        var model = new ModelClass({id: 1, a: 'a-1'});
+        model.set('a', 'a-2');
+        return model;
+    }
+
+    afterEach(function () {
+        global.setTimeout = originalSetTimeout;
+    });
+
+    it('should retry failed operation with exponential backoff', function () {
+        var model = createChanged();
+        failures = 3;
+        return model.save().then(function () {
+            expect(ModelClass.storage.dump()).to.be.deep.equal([{id: 1, a: 'a-2'}]);
+            expect(delays).to.be.deep.equal([100, 200, 400]);
+        });
+    });
+
+    it('should reject when attempts are over', function () {
+        var model = createChanged();
+        failures = 4;
+        return model.save().then(function () {
+            throw new Error('should not be saved');
+        }, function (err) {
+            expect(err.message).to.be.equal('unavailable');
+            expect(delays).to.have.length(3);
+        });
+    });
+
+    it('should not retry insert by default', function () {
+        var model = new ModelClass();
+        failures = 1;
+        return model.save().then(function () {
+            throw new Error('should not be saved');
+        }, function (err) {
+            expect(err.message).to.be.equal('unavailable');
+            expect(delays).to.have.length(0);
+        });
+    });
+
+    it('should not retry not retryable errors', function () {
+        var model = new ModelClass({id: 2});
+        return model.fetch().then(function () {
+            throw new Error('should not be found');
+        }, function (err) {
+            expect(err).to.be.instanceOf(Model.Storage.NotFoundError);
+            expect(delays).to.have.length(0);
+        });
+    });
+
+    it('should use model options and predicate', function () {
+        var RetryModel = ModelClass.inherit({
+                retry: {
+                    attempts: 2,
+                    isRetryable: function (err, operation) {
+                        return operation === 'insert' && err.message === 'unavailable';
+                    }
+                }
+            }),
+            model = new RetryModel();
+        failures = 2;
+        return model.save().then(function () {
+            throw new Error('should not be saved');
+        }, function () {
+            expect(delays).to.have.length(1);
+            expect(delays[0]).to.be.within(50, 100);
+        });
+    });
+
+    it('should trigger retry event', function () {
+        var model = createChanged(),
+            events = [];
+        failures = 1;
+        model.on('retry', function (m, info) {
+            events.push(info);
+        });
+        return model.save().then(function () {
+            expect(events).to.have.length(1);
+            expect(events[0]).to.have.property('operation', 'update');
+            expect(events[0]).to.have.property('attempt', 1);
+            expect(events[0]).to.have.property('delay', 100);
+            expect(events[0].error.message).to.be.equal('unavailable');
+        });
+    });
+});
@@ -0,0 +1,77 @@
+var expect = require('chai').expect;
+
+describe('Set attribute', function () {
+    var Model = require('../lib/model'),
+        ModelClass = Model.inherit({
+            attributes: {
+                tags: Model.attributeTypes.Set,
+                sortedTags: Model.attributeTypes.Set.inherit({
+                    sorted: true
+                })
+            }
+        });
+
+    it('should keep unique items', function () {
+        var model = new ModelClass({
+            tags: ['b', 'a', 'b']
+        });
+        model.get('tags').add('c').add('a');
+        expect(model.get('tags').toArray()).to.be.deep.equal(['b', 'a', 'c']);
+        expect(model.get('tags').size()).to.be.equal(3);
+        expect(model.get('tags').has('a')).to.be.equal(true);
+        expect(model.get('tags').has('d')).to.be.equal(false);
+    });
+
+    it('should delete items', function () {
+        var model = new ModelClass({
+            tags: ['a', 'b']
+        });
+        expect(model.get('tags').delete('a')).to.be.equal(true);
+        expect(model.get('tags').delete('a')).to.be.equal(false);
+        expect(model.get('tags').toArray()).to.be.deep.equal(['b']);
+    });
+
+    it('should not be changed by same items in other order', function () {
+        var model = new ModelClass({
+            tags: ['a', 'b', 'c']
+        });
+        model.set('tags', ['c', 'a', 'b', 'a']);
+        model.get('tags').delete('b');
+        model.get('tags').add('b');
+        expect(model.isChanged()).to.be.equal(false);
+        model.get('tags').add('d');
+        expect(model.isChanged()).to.be.equal(true);
+    });
+
+    it('should revert items', function () {
+        var model = new ModelClass({
+            tags: ['a', 'b']
+        });
+        model.get('tags').add('c');
+        model.get('tags').delete('a');
+        expect(model.getChanges().tags).to.be.deep.equal({
+            oldValue: ['a', 'b'],
+            newValue: ['b', 'c']
+        });
+        model.revert();
+        expect(model.toJSON().tags).to.be.deep.equal(['a', 'b']);
+    });
+
+    it('should serialize sorted items if configured', function () {
+        var model = new ModelClass({
+            sortedTags: ['c', 'a']
+        });
+        model.get('sortedTags').add('b');
+        expect(model.toJSON().sortedTags).to.be.deep.equal(['a', 'b', 'c']);
+        expect(model.get('sortedTags').toArray()).to.be.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should trigger change on add', function (done) {
+        var model = new ModelClass();
+        model.on('change:tags', function () {
+            expect(model.get('tags').toArray()).to.be.deep.equal(['a']);
+            done();
+        });
+        model.get('tags').add('a');
+    });
+});
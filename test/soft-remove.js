@@ -0,0 +1,117 @@
+var expect = require('chai').expect;
+
+describe('Soft remove', function () {
+    var Model = require('../lib/model'),
+        Collection = require('../lib/collection'),
+        ModelClass, TestCollection;
+
+    beforeEach(function () {
+        ModelClass = Model.inherit({
+            softRemove: true,
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String
+            },
+            storage: Model.Storage.Memory.inherit({})
+        });
+        ModelClass.storage.reset([{id: 1, a: 'a-1'}, {id: 2, a: 'a-2'}]);
+        TestCollection = Collection.inherit({
+            modelType: ModelClass
+        });
+    });
+
+    it('should remove model from storage without destruct', function () {
+        var model = new ModelClass({id: 1, a: 'a-1'}),
+            removeTriggered = false;
+        model.on('remove', function () {
+            removeTriggered = true;
+        });
+        return model.remove().then(function () {
+            expect(model.isRemoved()).to.be.equal(true);
+            expect(model.isDestructed()).to.be.equal(false);
+            expect(removeTriggered).to.be.equal(true);
+            expect(ModelClass.storage.dump()).to.be.deep.equal([{id: 2, a: 'a-2'}]);
+        });
+    });
+
+    it('should destruct model by default', function () {
+        var HardModel = ModelClass.inherit({
+                softRemove: false
+            }),
+            model = new HardModel({id: 1});
+        return model.remove().then(function () {
+            expect(model.isRemoved()).to.be.equal(false);
+            expect(model.isDestructed()).to.be.equal(true);
+        });
+    });
+
+    it('should restore model', function () {
+        var model = new ModelClass({id: 1, a: 'a-1'});
+        return model.remove().then(function () {
+            return model.restore();
+        }).then(function () {
+            expect(model.isRemoved()).to.be.equal(false);
+            expect(ModelClass.storage.dump()).to.have.length(2);
+        });
+    });
+
+    it('should not restore model if storage can not restore it', function () {
+        var NoRestoreModel = ModelClass.inherit({
+                storage: Model.Storage.Memory.inherit({
+                    restore: null
+                })
+            }),
+            model = new NoRestoreModel({id: 1, a: 'a-1'});
+        NoRestoreModel.storage.reset([{id: 1, a: 'a-1'}]);
+        return model.remove().then(function () {
+            return model.restore();
+        }).then(function () {
+            throw new Error('should not be restored');
+        }, function (err) {
+            expect(err.message).to.be.equal('model can not be restored, storage has no restore method');
+            expect(model.isRemoved()).to.be.equal(true);
+            expect(NoRestoreModel.storage.dump()).to.be.deep.equal([]);
+        });
+    });
+
+    it('should not save removed model', function () {
+        var model = new ModelClass({id: 1, a: 'a-1'});
+        return model.remove().then(function () {
+            return model.save();
+        }).then(function () {
+            throw new Error('should not be saved');
+        }, function (err) {
+            expect(err.message).to.be.equal('Model is removed');
+        });
+    });
+
+    it('should destruct model on confirm', function () {
+        var model = new ModelClass({id: 1, a: 'a-1'});
+        expect(function () {
+            model.confirmRemove();
+        }).to.throw(Error);
+        return model.remove().then(function () {
+            model.confirmRemove();
+            expect(model.isDestructed()).to.be.equal(true);
+        });
+    });
+
+    it('should take model out of collection and bring it back on restore', function () {
+        var collection = new TestCollection([{id: 1, a: 'a-1'}, {id: 2, a: 'a-2'}]),
+            model = collection.at(0),
+            removedEvents = 0;
+        collection.on('remove', function () {
+            removedEvents++;
+        });
+        return model.remove().then(function () {
+            expect(collection.length).to.be.equal(1);
+            expect(collection.get(1)).to.be.equal(null);
+            expect(removedEvents).to.be.equal(1);
+            expect(model.isDestructed()).to.be.equal(false);
+            return model.restore();
+        }).then(function () {
+            expect(collection.length).to.be.equal(2);
+            expect(collection.at(0)).to.be.equal(model);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+var expect = require('chai').expect,
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+describe('Storage testkit', function () {
+    var Model = require('../lib/model'),
+        storageChecks = require('../testkit/storage'),
+        directory = path.join(os.tmpdir(), 'promised-models-testkit-' + process.pid),
+        files = 0;
+
+    after(function () {
+        if (fs.existsSync(directory)) {
+            fs.readdirSync(directory).forEach(function (file) {
+                fs.unlinkSync(path.join(directory, file));
+            });
+            fs.rmdirSync(directory);
+        }
+    });
+
+    describe('memory storage', function () {
+        storageChecks(function () {
+            return Model.Storage.Memory.inherit({});
+        }).forEach(function (check) {
+            it(check.name, check.run);
+        });
+    });
+
+    describe('file storage', function () {
+        storageChecks(function () {
+            return Model.Storage.File.inherit({
+                directory: directory,
+                name: 'models-' + files++
+            });
+        }).forEach(function (check) {
+            it(check.name, check.run);
+        });
+    });
+
+    it('should report broken storage', function () {
+        return storageChecks.run(function () {
+            return Model.Storage.Memory.inherit({
+                find: function () {
+                    return {};
+                }
+            });
+        }).then(function (results) {
+            var failed = results.filter(function (result) {
+                return result.error;
+            });
+            expect(results).to.have.length(7);
+            expect(failed.length).to.be.above(0);
+            expect(failed[0].name).to.be.equal('find should resolve with inserted data');
+        });
+    });
+
+    it('should reject assert with first failure', function () {
+        return storageChecks.assert(function () {
+            return Model.Storage.Memory.inherit({
+                update: function () {}
+            });
+        }).then(function () {
+            throw new Error('should fail');
+        }, function (err) {
+            expect(err.message).to.match(/^update should change data and leave id untouched: /);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+var expect = require('chai').expect;
+
+describe('Sync state', function () {
+    var Model = require('../lib/model'),
+        ModelClass;
+
+    beforeEach(function () {
+        ModelClass = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String
+            },
+            storage: Model.Storage.Memory.inherit({})
+        });
+        ModelClass.storage.reset([{id: 1, a: 'a-1'}]);
+    });
+
+    it('should export storage errors', function () {
+        expect(Model.NotFoundError).to.be.equal(Model.Storage.NotFoundError);
+        expect(Model.ConflictError).to.be.equal(Model.Storage.ConflictError);
+        expect(new Model.StorageUnavailableError()).to.be.instanceOf(Error);
+    });
+
+    it('should be saving while save is running', function () {
+        var model = new ModelClass({a: 'a-2'}),
+            promise;
+        expect(model.isSaving()).to.be.equal(false);
+        promise = model.save();
+        expect(model.isSaving()).to.be.equal(true);
+        expect(model.isFetching()).to.be.equal(false);
+        return promise.then(function () {
+            expect(model.isSaving()).to.be.equal(false);
+        });
+    });
+
+    it('should be fetching while fetch is running', function () {
+        var model = new ModelClass({id: 1}),
+            promise = model.fetch();
+        expect(model.isFetching()).to.be.equal(true);
+        return promise.then(function () {
+            expect(model.isFetching()).to.be.equal(false);
+        });
+    });
+
+    it('should be removing while remove is running', function () {
+        var model = new ModelClass({id: 1}),
+            promise = model.remove();
+        expect(model.isRemoving()).to.be.equal(true);
+        return promise.then(function () {
+            expect(model.isRemoving()).to.be.equal(false);
+        });
+    });
+
+    it('should trigger sync events', function () {
+        var model = new ModelClass({id: 1}),
+            events = [];
+        model.on('sync:start sync:success', function (m, info) {
+            events.push(info.operation);
+        });
+        return model.fetch().then(function () {
+            return model.save();
+        }).then(function () {
+            expect(events).to.be.deep.equal(['fetch', 'fetch', 'save', 'save']);
+        });
+    });
+
+    it('should trigger sync:error with typed error', function () {
+        var model = new ModelClass({id: 2}),
+            errors = [];
+        model.on('sync:error', function (m, info) {
+            errors.push(info);
+        });
+        return model.fetch().then(function () {
+            throw new Error('should not be fetched');
+        }, function () {
+            expect(model.isFetching()).to.be.equal(false);
+            expect(errors).to.have.length(1);
+            expect(errors[0].operation).to.be.equal('fetch');
+            expect(errors[0].error).to.be.instanceOf(Model.NotFoundError);
+        });
+    });
+});
@@ -0,0 +1,185 @@
+var expect = require('chai').expect;
+
+describe('Unit of work', function () {
+    var Model = require('../lib/model'),
+        Vow = require('vow'),
+        calls, ModelClass;
+
+    beforeEach(function () {
+        calls = [];
+        ModelClass = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                a: Model.attributeTypes.String
+            },
+            storage: Model.Storage.Memory.inherit({
+                insert: function (model) {
+                    calls.push('insert ' + model.get('a'));
+                    return this.__base.apply(this, arguments);
+                },
+                update: function (model) {
+                    calls.push('update ' + model.get('a'));
+                    return this.__base.apply(this, arguments);
+                },
+                remove: function (model) {
+                    calls.push('remove ' + model.get('a'));
+                    if (model.get('a') === 'fail') {
+                        return Vow.reject(new Error('fail'));
+                    }
+                    return this.__base.apply(this, arguments);
+                }
+            })
+        });
+        ModelClass.storage.reset([
+            {id: 1, a: 'existing'},
+            {id: 2, a: 'removed'},
+            {id: 3, a: 'fail'}
+        ]);
+    });
+
+    it('should run inserts, updates and removes in order', function () {
+        var existing = new ModelClass({id: 1, a: 'existing'}),
+            removed = new ModelClass({id: 2, a: 'removed'}),
+            created = new ModelClass({a: 'created'});
+
+        existing.set('a', 'changed');
+        return Model.unitOfWork()
+            .remove(removed)
+            .save(existing)
+            .save(created)
+            .commit()
+            .then(function () {
+                expect(calls).to.be.deep.equal(['insert created', 'update changed', 'remove removed']);
+                expect(created.getId()).to.be.equal(4);
+                expect(existing.isChanged()).to.be.equal(false);
+                expect(created.isChanged()).to.be.equal(false);
+                expect(removed.isDestructed()).to.be.equal(true);
+            });
+    });
+
+    it('should revert all models on fail', function () {
+        var existing = new ModelClass({id: 1, a: 'existing'}),
+            failed = new ModelClass({id: 3, a: 'fail'}),
+            created = new ModelClass({a: 'created'});
+
+        return Model.transaction([existing, created], function (unitOfWork) {
+            existing.set('a', 'changed');
+            unitOfWork.remove(failed);
+        }).then(function () {
+            throw new Error('should fail');
+        }, function (err) {
+            expect(err.message).to.be.equal('fail');
+            expect(calls).to.be.deep.equal(['insert created', 'update changed', 'remove fail']);
+            expect(created.isNew()).to.be.equal(true);
+            expect(existing.get('a')).to.be.equal('existing');
+            expect(existing.isChanged()).to.be.equal(false);
+            expect(failed.isDestructed()).to.be.equal(false);
+        });
+    });
+
+    it('should revert models when transaction function fails', function () {
+        var existing = new ModelClass({id: 1, a: 'existing'});
+
+        return Model.transaction([existing], function () {
+            existing.set('a', 'changed');
+            return Vow.reject(new Error('canceled'));
+        }).then(function () {
+            throw new Error('should fail');
+        }, function (err) {
+            expect(err.message).to.be.equal('canceled');
+            expect(calls).to.be.deep.equal([]);
+            expect(existing.get('a')).to.be.equal('existing');
+        });
+    });
+
+    it('should pass operations to storage batch', function () {
+        var BatchModel = ModelClass.inherit({
+                storage: ModelClass.storage.inherit({
+                    batch: function (operations) {
+                        calls.push(operations.map(function (operation) {
+                            return operation.type;
+                        }));
+                        return Vow.fulfill(operations.map(function (operation) {
+                            return operation.type === 'insert' ? 10 : undefined;
+                        }));
+                    }
+                })
+            }),
+            existing = new BatchModel({id: 1, a: 'existing'}),
+            created = new BatchModel({a: 'created'});
+
+        existing.set('a', 'changed');
+        return Model.transaction([existing, created]).then(function () {
+            expect(calls).to.be.deep.equal([['insert', 'update']]);
+            expect(created.getId()).to.be.equal(10);
+            expect(existing.isChanged()).to.be.equal(false);
+        });
+    });
+
+    it('should pass to batch only operations of its storage', function () {
+        var Order = Model.inherit({
+                attributes: {
+                    id: Model.attributeTypes.Id,
+                    a: Model.attributeTypes.String
+                },
+                storage: Model.Storage.Memory.inherit({
+                    batch: function (operations) {
+                        calls.push(operations.map(function (operation) {
+                            return operation.type + ' ' + operation.model.get('a');
+                        }));
+                        return Vow.fulfill(operations.map(function () {
+                            return 101;
+                        }));
+                    }
+                })
+            }),
+            order = new Order({a: 'order'}),
+            line = new ModelClass({a: 'line'});
+
+        return Model.transaction([order, line]).then(function () {
+            expect(calls).to.be.deep.equal([['insert order'], 'insert line']);
+            expect(order.getId()).to.be.equal(101);
+            expect(line.getId()).to.be.equal(4);
+            expect(ModelClass.storage.dump()[3]).to.be.deep.equal({id: 4, a: 'line'});
+        });
+    });
+
+    it('should run inserts, updates and removes in order across storages', function () {
+        var Order = Model.inherit({
+                attributes: {
+                    id: Model.attributeTypes.Id,
+                    a: Model.attributeTypes.String
+                },
+                storage: Model.Storage.Memory.inherit({
+                    batch: function (operations) {
+                        calls.push(operations.map(function (operation) {
+                            return operation.type + ' ' + operation.model.get('a');
+                        }));
+                        return Vow.fulfill(operations.map(function () {
+                            return 101;
+                        }));
+                    }
+                })
+            }),
+            createdOrder = new Order({a: 'created order'}),
+            existingOrder = new Order({id: 1, a: 'existing order'}),
+            line = new ModelClass({a: 'line'}),
+            removedLine = new ModelClass({id: 2, a: 'removed'});
+
+        existingOrder.set('a', 'changed order');
+        return Model.unitOfWork()
+            .save(createdOrder)
+            .save(existingOrder)
+            .save(line)
+            .remove(removedLine)
+            .commit()
+            .then(function () {
+                expect(calls).to.be.deep.equal([
+                    ['insert created order'],
+                    'insert line',
+                    ['update changed order'],
+                    'remove removed'
+                ]);
+            });
+    });
+});
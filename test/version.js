@@ -0,0 +1,160 @@
+var expect = require('chai').expect;
+
+describe('Version attribute', function () {
+    var Model = require('../lib/model'),
+        Vow = require('vow'),
+        ModelClass = Model.inherit({
+            attributes: {
+                id: Model.attributeTypes.Id,
+                version: Model.attributeTypes.Version,
+                a: Model.attributeTypes.String,
+                b: Model.attributeTypes.String
+            },
+            storage: Model.Storage.Memory.inherit({})
+        }),
+        local, remote;
+
+    /**
+     * create two models of one record, remote one is saved with `b` changed
+     * @param {Object} [props] local model class properties
+     * @returns {Promise}
+     */
+    function createConflict(props) {
+        var LocalClass = ModelClass.inherit(props || {});
+        ModelClass.storage.reset([{id: 1, version: 0, a: 'a-0', b: 'b-0'}]);
+        local = new LocalClass({id: 1});
+        remote = new ModelClass({id: 1});
+        return Vow.all([local.fetch(), remote.fetch()]).then(function () {
+            remote.set('b', 'b-remote');
+            return remote.save();
+        }).then(function () {
+            local.set('a', 'a-local');
+        });
+    }
+
+    it('should be 0 by default', function () {
+        var model = new ModelClass();
+        expect(model.getVersion()).to.be.equal(0);
+    });
+
+    it('should be increased on update', function () {
+        var model = new ModelClass();
+        return model.save().then(function () {
+            expect(model.getVersion()).to.be.equal(0);
+            model.set('a', 'a-1');
+            return model.save();
+        }).then(function () {
+            expect(model.getVersion()).to.be.equal(1);
+            expect(model.isChanged()).to.be.equal(false);
+            expect(ModelClass.storage.dump()[0].version).to.be.equal(1);
+        });
+    });
+
+    describe('conflict', function () {
+        it('should reject with ConflictError by default', function () {
+            return createConflict().then(function () {
+                return local.save();
+            }).then(function () {
+                throw new Error('should not be saved');
+            }, function (err) {
+                expect(err).to.be.instanceOf(Model.ConflictError);
+                expect(err.data).to.have.property('b', 'b-remote');
+                expect(local.isChanged()).to.be.equal(true);
+                local.revert();
+                expect(local.get('a')).to.be.equal('a-0');
+            });
+        });
+
+        it('should overwrite storage data with local policy', function () {
+            return createConflict({conflictResolution: 'local'}).then(function () {
+                return local.save();
+            }).then(function () {
+                expect(ModelClass.storage.dump()[0]).to.be.deep.equal({
+                    id: 1,
+                    version: 2,
+                    a: 'a-local',
+                    b: 'b-0'
+                });
+                expect(local.getVersion()).to.be.equal(2);
+                expect(local.isChanged()).to.be.equal(false);
+            });
+        });
+
+        it('should take storage data with remote policy', function () {
+            return createConflict({conflictResolution: 'remote'}).then(function () {
+                return local.save();
+            }).then(function () {
+                expect(local.toJSON()).to.be.deep.equal({
+                    id: 1,
+                    version: 1,
+                    a: 'a-0',
+                    b: 'b-remote'
+                });
+                expect(local.isChanged()).to.be.equal(false);
+            });
+        });
+
+        it('should merge data with custom policy', function () {
+            return createConflict({
+                conflictResolution: function (localData, remoteData, committedData) {
+                    expect(committedData.b).to.be.equal('b-0');
+                    return {
+                        a: localData.a,
+                        b: remoteData.b
+                    };
+                }
+            }).then(function () {
+                return local.save();
+            }).then(function () {
+                expect(ModelClass.storage.dump()[0]).to.be.deep.equal({
+                    id: 1,
+                    version: 2,
+                    a: 'a-local',
+                    b: 'b-remote'
+                });
+                expect(local.isChanged()).to.be.equal(false);
+            });
+        });
+
+        it('should reject conflict without remote version', function () {
+            var calls = 0,
+                LocalClass = ModelClass.inherit({
+                    conflictResolution: 'local',
+                    storage: Model.Storage.Memory.inherit({
+                        update: function () {
+                            calls++;
+                            return Vow.reject(new Model.ConflictError('409'));
+                        }
+                    })
+                }),
+                model = new LocalClass({id: 1, a: 'a-1'});
+            return model.save().then(function () {
+                throw new Error('should not be saved');
+            }, function (err) {
+                expect(err).to.be.instanceOf(Model.ConflictError);
+                expect(err.message).to.be.equal('409');
+                expect(calls).to.be.equal(1);
+            });
+        });
+
+        it('should limit count of conflict resolutions', function () {
+            var calls = 0,
+                LocalClass = ModelClass.inherit({
+                    conflictResolution: 'local',
+                    storage: Model.Storage.Memory.inherit({
+                        update: function () {
+                            calls++;
+                            return Vow.reject(new Model.ConflictError('Conflict', {version: calls + 10}));
+                        }
+                    })
+                }),
+                model = new LocalClass({id: 1, a: 'a-1'});
+            return model.save().then(function () {
+                throw new Error('should not be saved');
+            }, function (err) {
+                expect(err).to.be.instanceOf(Model.ConflictError);
+                expect(calls).to.be.equal(4);
+            });
+        });
+    });
+});
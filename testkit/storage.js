@@ -0,0 +1,196 @@
+/**
+ * Conformance checks of storage contract
+ */
+var Model = require('../lib/model'),
+    Vow = require('vow-with-domain'),
+    fulfill = require('../lib/fulfill'),
+    CHECKS;
+
+/**
+ * @param {Boolean} condition
+ * @param {String} message
+ */
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * @param {Promise} promise
+ * @param {String} operation
+ * @returns {Promise} fulfilled if promise is rejected with NotFoundError
+ */
+function checkNotFound(promise, operation) {
+    return promise.then(function () {
+        throw new Error(operation + ' of missed record should be rejected');
+    }, function (err) {
+        check(err instanceof Model.Storage.NotFoundError, operation + ' of missed record should be rejected with NotFoundError');
+    });
+}
+
+/**
+ * @param {Function} factory
+ * @returns {Function} model class with storage
+ */
+function createModelClass(factory) {
+    return Model.inherit({
+        attributes: {
+            id: Model.attributeTypes.Id,
+            a: Model.attributeTypes.String,
+            b: Model.attributeTypes.Number
+        },
+        storage: factory()
+    });
+}
+
+/**
+ * @type {Array.<{name: String, run: Function}>}
+ */
+CHECKS = [{
+    name: 'insert should resolve with id of new record',
+    run: function (ModelClass) {
+        var model = new ModelClass({a: 'a-1', b: 1});
+        return model.save().then(function () {
+            check(!model.isNew(), 'inserted model should not be new');
+        });
+    }
+}, {
+    name: 'insert should give different ids to records',
+    run: function (ModelClass) {
+        var model1 = new ModelClass({a: 'a-1'}),
+            model2 = new ModelClass({a: 'a-2'});
+        return model1.save().then(function () {
+            return model2.save();
+        }).then(function () {
+            check(model1.getId() !== model2.getId(), 'ids of inserted models should differ');
+        });
+    }
+}, {
+    name: 'find should resolve with inserted data',
+    run: function (ModelClass) {
+        var model = new ModelClass({a: 'a-1', b: 1}),
+            found;
+        return model.save().then(function () {
+            found = new ModelClass({id: model.getId()});
+            return found.fetch();
+        }).then(function () {
+            check(found.get('a') === 'a-1' && found.get('b') === 1, 'fetched data should be equal to inserted');
+            check(found.getId() === model.getId(), 'fetch should not change id');
+        });
+    }
+}, {
+    name: 'find should reject missed record with NotFoundError',
+    run: function (ModelClass) {
+        var model = new ModelClass({a: 'a-1'});
+        return model.save().then(function () {
+            var missed = new ModelClass({id: model.getId()});
+            return model.remove().then(function () {
+                return checkNotFound(missed.fetch(), 'find');
+            });
+        });
+    }
+}, {
+    name: 'update should change data and leave id untouched',
+    run: function (ModelClass) {
+        var model = new ModelClass({a: 'a-1', b: 1}),
+            id, found;
+        return model.save().then(function () {
+            id = model.getId();
+            model.set('a', 'a-2');
+            return model.save();
+        }).then(function () {
+            check(model.getId() === id, 'update should not change id');
+            found = new ModelClass({id: id});
+            return found.fetch();
+        }).then(function () {
+            check(found.get('a') === 'a-2', 'updated data should be fetched');
+            check(found.get('b') === 1, 'not changed data should be kept');
+        });
+    }
+}, {
+    name: 'remove should delete record',
+    run: function (ModelClass) {
+        var model = new ModelClass({a: 'a-1'}),
+            id;
+        return model.save().then(function () {
+            id = model.getId();
+            return model.remove();
+        }).then(function () {
+            return checkNotFound(new ModelClass({id: id}).fetch(), 'find');
+        });
+    }
+}, {
+    name: 'remove should keep other records',
+    run: function (ModelClass) {
+        var model1 = new ModelClass({a: 'a-1'}),
+            model2 = new ModelClass({a: 'a-2'}),
+            found;
+        return model1.save().then(function () {
+            return model2.save();
+        }).then(function () {
+            found = new ModelClass({id: model2.getId()});
+            return model1.remove();
+        }).then(function () {
+            return found.fetch();
+        }).then(function () {
+            check(found.get('a') === 'a-2', 'other record should be kept');
+        });
+    }
+}];
+
+/**
+ * Get conformance checks of storage contract, which `Model` relies on.
+ * Every check gets fresh storage from factory, so storages should not share records
+ * @param {Function} factory returns storage class, e.g. `function () { return MyStorage.inherit({}); }`
+ * @returns {Array.<{name: String, run: Function}>} `run` returns promise, which is rejected if check fails
+ */
+module.exports = function (factory) {
+    return CHECKS.map(function (item) {
+        return {
+            name: item.name,
+            run: function () {
+                return fulfill().then(function () {
+                    return item.run(createModelClass(factory));
+                });
+            }
+        };
+    });
+};
+
+/**
+ * run all checks one by one
+ * @param {Function} factory see module.exports
+ * @returns {Promise<{Array.<{name: String, error: ?Error}>}>} results of checks
+ */
+module.exports.run = function (factory) {
+    var results = [];
+    return module.exports(factory).reduce(function (promise, item) {
+        return promise.then(function () {
+            return item.run().then(function () {
+                results.push({name: item.name, error: null});
+            }, function (err) {
+                results.push({name: item.name, error: err});
+            });
+        });
+    }, fulfill()).then(function () {
+        return results;
+    });
+};
+
+/**
+ * run all checks and reject with first failure
+ * @param {Function} factory see module.exports
+ * @returns {Promise}
+ */
+module.exports.assert = function (factory) {
+    return module.exports.run(factory).then(function (results) {
+        var failed = results.filter(function (result) {
+            return result.error;
+        })[0];
+        if (failed) {
+            failed.error.message = failed.name + ': ' + failed.error.message;
+            return Vow.reject(failed.error);
+        }
+    });
+};